@@ -0,0 +1,22 @@
+/**
+ * bmson helpers for Lyruanna
+ * Shared by the main-process library scanner and the web file picker so a bmson chart
+ * gets the same key mode whichever way it is added to the library.
+ */
+
+// info.mode_hint -> key mode (beat-7k is also the default when there is no hint)
+const BMSON_KEY_MODES = { 'beat-5k': '5', 'beat-7k': '7', 'beat-10k': '10', 'beat-14k': '14', 'popn-5k': '9', 'popn-9k': '9' };
+
+/**
+ * Key mode of a bmson chart from its info block.
+ */
+function bmsonKeyMode(info) {
+    return BMSON_KEY_MODES[(info && info.mode_hint) || 'beat-7k'] || '7';
+}
+
+// Export for Web and Desktop
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BMSON_KEY_MODES, bmsonKeyMode };
+} else {
+    window.BmsonUtils = { BMSON_KEY_MODES, bmsonKeyMode };
+}
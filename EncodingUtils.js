@@ -0,0 +1,102 @@
+/**
+ * Text Encoding Detection for Lyruanna
+ * Shared by the main-process library scanner and the renderer data layer so a chart
+ * is decoded the same way when it is scanned and when it is played.
+ */
+
+// Names understood by both iconv-lite and TextDecoder
+const ENCODING_ALIASES = {
+    'UTF8': 'utf-8', 'UTF-8': 'utf-8',
+    'SHIFT_JIS': 'shift_jis', 'SHIFT-JIS': 'shift_jis', 'SJIS': 'shift_jis', 'CP932': 'shift_jis', 'MS932': 'shift_jis', 'WINDOWS-31J': 'shift_jis',
+    'EUC-KR': 'euc-kr', 'EUCKR': 'euc-kr', 'CP949': 'euc-kr', 'UHC': 'euc-kr', 'KS_C_5601-1987': 'euc-kr'
+};
+
+const DEFAULT_ENCODING = 'shift_jis';
+
+/**
+ * Maps an encoding name (e.g. from #ENCODING) to a supported one, or null if unknown.
+ */
+function normalizeEncoding(name) {
+    if (!name) return null;
+    return ENCODING_ALIASES[String(name).trim().toUpperCase()] || null;
+}
+
+/**
+ * Reads the #ENCODING hint some editors write near the top of the file.
+ */
+function readEncodingHint(bytes) {
+    const limit = Math.min(bytes.length, 8192);
+    let head = '';
+    for (let i = 0; i < limit; i++) head += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : ' ';
+    const m = head.match(/^#ENCODING[ \t]+([\w-]+)/im);
+    return m ? normalizeEncoding(m[1]) : null;
+}
+
+/**
+ * Strict UTF-8 validation. Returns { valid, multibyte } where multibyte counts non-ASCII sequences.
+ */
+function checkUtf8(bytes) {
+    let multibyte = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+        if (b < 0x80) continue;
+        let extra;
+        if (b >= 0xC2 && b <= 0xDF) extra = 1;
+        else if (b >= 0xE0 && b <= 0xEF) extra = 2;
+        else if (b >= 0xF0 && b <= 0xF4) extra = 3;
+        else return { valid: false, multibyte };
+        if (i + extra >= bytes.length) return { valid: false, multibyte };
+        for (let k = 1; k <= extra; k++) {
+            if ((bytes[i + k] & 0xC0) !== 0x80) return { valid: false, multibyte };
+        }
+        i += extra;
+        multibyte++;
+    }
+    return { valid: true, multibyte };
+}
+
+/**
+ * EUC-KR needs every high byte in an A1-FE pair, which Japanese Shift_JIS text almost never
+ * satisfies (kana and most kanji lead with 81-9F). Hangul syllables lead with B0-C8.
+ */
+function looksLikeEucKr(bytes) {
+    let pairs = 0;
+    let hangul = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+        if (b < 0x80) continue;
+        const t = bytes[i + 1];
+        if (b < 0xA1 || b > 0xFE || t === undefined || t < 0xA1 || t > 0xFE) return false;
+        pairs++;
+        if (b >= 0xB0 && b <= 0xC8) hangul++;
+        i++;
+    }
+    return pairs > 0 && hangul * 2 >= pairs;
+}
+
+/**
+ * Detects the text encoding of a chart or course file.
+ * Order: BOM, #ENCODING hint, valid UTF-8, Shift_JIS vs EUC-KR heuristics.
+ * @param {Uint8Array} bytes - Raw file contents (a Node Buffer works too).
+ * @returns {string} 'utf-8' | 'utf-16le' | 'utf-16be' | 'shift_jis' | 'euc-kr'
+ */
+function detectEncoding(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    const hint = readEncodingHint(bytes);
+    if (hint) return hint;
+
+    const utf8 = checkUtf8(bytes);
+    if (utf8.valid && utf8.multibyte > 0) return 'utf-8';
+    if (!utf8.valid && looksLikeEucKr(bytes)) return 'euc-kr';
+    return DEFAULT_ENCODING; // Also covers pure ASCII
+}
+
+// Export for Web and Desktop
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { detectEncoding, normalizeEncoding, DEFAULT_ENCODING };
+} else {
+    window.EncodingUtils = { detectEncoding, normalizeEncoding, DEFAULT_ENCODING };
+}
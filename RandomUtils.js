@@ -0,0 +1,41 @@
+/**
+ * Seeded Random for Lyruanna
+ * Shared by the parser worker (#RANDOM rolls) and the renderer (lane modifiers) so both
+ * reproduce the same sequence from a saved seed. Also applies the resulting lane permutation.
+ */
+
+/**
+ * mulberry32 PRNG returning floats in [0, 1).
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Moves every P1 key channel keys[i] to lanes[i] across notes, mines and invisible notes.
+ * LN channels (key + 0x40) follow their key so long notes stay in the same lane as taps.
+ */
+function applyLanePermutation(song, keys, lanes) {
+    const mapping = {};
+    keys.forEach((k, i) => {
+        mapping[k] = lanes[i];
+        mapping[k + 0x40] = lanes[i] + 0x40;
+    });
+    song.notes.forEach(n => { if (mapping[n.ch]) n.ch = mapping[n.ch]; });
+    song.mines.forEach(m => { if (mapping[m.lane]) m.lane = mapping[m.lane]; });
+    song.invisibleNotes.forEach(m => { if (mapping[m.lane]) m.lane = mapping[m.lane]; });
+}
+
+// Export for Web, Desktop and the parser worker (self is the window outside a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSeededRandom, applyLanePermutation };
+} else {
+    self.RandomUtils = { createSeededRandom, applyLanePermutation };
+}
@@ -1,9 +1,10 @@
 /* BMS Parser Web Worker */
+importScripts('RandomUtils.js');
 
 self.onmessage = function (e) {
-    const { id, text } = e.data;
+    const { id, text, options } = e.data;
     try {
-        const result = BMSParser.parse(text);
+        const result = BMSParser.parse(text, options || {});
         self.postMessage({ success: true, id, data: result });
     } catch (err) {
         self.postMessage({ success: false, id, error: err.message });
@@ -11,14 +12,198 @@ self.onmessage = function (e) {
 };
 
 class BMSParser {
-    static parse(text) {
-        const lines = text.split(/\r?\n/);
+    // Judge rank percentage for #RANK 0-4 (VERY HARD, HARD, NORMAL, EASY, VERY EASY).
+    // The only copy: charts carry the resulting judgeRank and the game keys its windows on it.
+    static RANK_JUDGE_RANKS = [25, 50, 75, 100, 125];
+
+    /**
+     * Evaluates #RANDOM/#IF and #SWITCH/#CASE control flow and returns only the active lines.
+     * options.seed fixes the PRNG, options.randomValues forces the Nth roll to a given value.
+     */
+    static preprocess(lines, options = {}) {
+        const seed = Number.isFinite(options.seed) ? (options.seed >>> 0) : Math.floor(Math.random() * 0x7FFFFFFF);
+        const forced = Array.isArray(options.randomValues) ? options.randomValues : null;
+        const rng = RandomUtils.createSeededRandom(seed); // Seeded so #RANDOM outcomes can be reproduced
+        const randomBranches = []; // [{ type, max, value }] in the order they were rolled
+        const warnings = [];       // Same shape as the chart lint warnings
+
+        const roll = (type, max) => {
+            const idx = randomBranches.length;
+            if (!Number.isFinite(max) || max < 1) {
+                warnings.push({ level: 'warning', measure: 0, message: `#${type} without a valid range (1 is used)` });
+                max = 1;
+            }
+            let value;
+            if (forced && forced[idx] !== undefined) {
+                value = Math.min(Math.max(1, parseInt(forced[idx]) || 1), max);
+            } else {
+                value = Math.floor(rng() * max) + 1;
+            }
+            randomBranches.push({ type, max, value });
+            return value;
+        };
+
+        const randomStack = []; // Current #RANDOM value (top is used by #IF)
+        const blocks = [];      // { type: 'IF'|'SWITCH', parentActive, active, matched, skipped, value }
+        const isActive = () => blocks.length === 0 || blocks[blocks.length - 1].active;
+        const output = [];
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            const ctrl = line.match(/^#(RANDOM|RONDAM|SETRANDOM|ENDRANDOM|IF|ELSEIF|ELSE|END\s*IF|SWITCH|SETSWITCH|CASE|SKIP|DEF|ENDSW)(?:\s+(-?\d+))?\s*$/i);
+            if (!ctrl) {
+                if (isActive()) output.push(rawLine);
+                continue;
+            }
+
+            const cmd = ctrl[1].toUpperCase().replace(/\s+/g, '');
+            const arg = ctrl[2] !== undefined ? parseInt(ctrl[2]) : NaN;
+            const top = blocks[blocks.length - 1];
+
+            switch (cmd) {
+                case 'RANDOM':
+                case 'RONDAM': // Common typo seen in the wild
+                    // Rolls inside inactive blocks are never observed, keep the stack balanced only
+                    randomStack.push(isActive() ? roll('RANDOM', arg) : 0);
+                    break;
+                case 'SETRANDOM':
+                    randomStack.push(arg);
+                    break;
+                case 'ENDRANDOM':
+                    randomStack.pop();
+                    break;
+                case 'IF': {
+                    const parentActive = isActive();
+                    const matched = parentActive && randomStack[randomStack.length - 1] === arg;
+                    blocks.push({ type: 'IF', parentActive, active: matched, matched });
+                    break;
+                }
+                case 'ELSEIF':
+                    if (top && top.type === 'IF') {
+                        top.active = top.parentActive && !top.matched && randomStack[randomStack.length - 1] === arg;
+                        if (top.active) top.matched = true;
+                    }
+                    break;
+                case 'ELSE':
+                    if (top && top.type === 'IF') {
+                        top.active = top.parentActive && !top.matched;
+                        top.matched = true;
+                    }
+                    break;
+                case 'ENDIF':
+                    if (top && top.type === 'IF') blocks.pop();
+                    break;
+                case 'SWITCH':
+                case 'SETSWITCH': {
+                    const parentActive = isActive();
+                    let value = 0;
+                    if (parentActive) value = cmd === 'SWITCH' ? roll('SWITCH', arg) : arg;
+                    blocks.push({ type: 'SWITCH', parentActive, active: false, matched: false, skipped: false, value });
+                    break;
+                }
+                case 'CASE':
+                    // Cases fall through until #SKIP, like C
+                    if (top && top.type === 'SWITCH' && top.parentActive && !top.skipped) {
+                        if (top.active || top.value === arg) {
+                            top.active = true;
+                            top.matched = true;
+                        }
+                    }
+                    break;
+                case 'DEF':
+                    if (top && top.type === 'SWITCH' && top.parentActive && !top.skipped) {
+                        if (top.active || !top.matched) {
+                            top.active = true;
+                            top.matched = true;
+                        }
+                    }
+                    break;
+                case 'SKIP':
+                    if (top && top.type === 'SWITCH' && top.active) {
+                        top.active = false;
+                        top.skipped = true;
+                    }
+                    break;
+                case 'ENDSW':
+                    if (top && top.type === 'SWITCH') blocks.pop();
+                    break;
+            }
+        }
+
+        return { lines: output, seed, randomBranches, warnings };
+    }
+
+    /**
+     * Turns a note into a long note ending at endTime. endId is the release keysound (null if none).
+     */
+    static closeLongNote(note, endTime, endId) {
+        if (endTime <= note.time) return;
+        note.endTime = endTime;
+        note.endId = endId;
+    }
+
+    /**
+     * Numeric value of an object ID. Base 62 digits are 0-9, A-Z, a-z (case-sensitive).
+     */
+    static decodeId(id, base = 36) {
+        if (base !== 62) return parseInt(id, base);
+        const digits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        let value = 0;
+        for (const c of id) {
+            const d = digits.indexOf(c);
+            if (d === -1) return NaN;
+            value = value * 62 + d;
+        }
+        return value;
+    }
+
+    /**
+     * #DEFEXRANK/#EXRANK values are percentages of NORMAL (#RANK 2); judge ranks are relative to EASY.
+     */
+    static exRankToJudgeRank(exRank) {
+        return exRank * BMSParser.RANK_JUDGE_RANKS[2] / 100;
+    }
+
+    /**
+     * Closest #RANK 0-4 for a judge rank percentage (for display and legacy consumers).
+     */
+    static nearestRank(judgeRank) {
+        let best = 0;
+        BMSParser.RANK_JUDGE_RANKS.forEach((r, i) => {
+            if (Math.abs(r - judgeRank) < Math.abs(BMSParser.RANK_JUDGE_RANKS[best] - judgeRank)) best = i;
+        });
+        return best;
+    }
+
+    /**
+     * Appends a scroll timeline point at `time`; rate is scroll position (beats) per ms from there on.
+     */
+    static addScrollPoint(timeline, time, rate) {
+        const last = timeline[timeline.length - 1];
+        const pos = last.pos + (time - last.time) * last.rate;
+        if (last.time === time) timeline.pop();
+        timeline.push({ time, pos, rate });
+    }
+
+    static parse(text, options = {}) {
+        // bmson charts are JSON documents
+        if (/^[\uFEFF\s]*\{/.test(text)) return BMSParser.parseBmson(text);
+
+        const control = BMSParser.preprocess(text.split(/\r?\n/), options);
+        const lines = control.lines;
         const headers = {};
         const bpmTable = {};
         const stopTable = {};
+        const scrollTable = {}; // #SCROLLxx: scroll rate multiplier (beatoraja)
+        const speedTable = {};  // #SPEEDxx: display speed multiplier (beatoraja)
+        const exRankTable = {}; // #EXRANKxx: judge rank for channel A0, same units as #DEFEXRANK
         const measureData = {}; // measure -> channel -> [data]
+        const warnings = control.warnings; // { level: 'error'|'warning', measure, message } for chart lint
         let maxMeasure = 0;
 
+        // #BASE 62: object IDs are case-sensitive 0-9A-Za-z, otherwise case-insensitive base 36
+        const base62 = lines.some(l => /^#BASE\s+62\s*$/i.test(l.trim()));
+
         lines.forEach(line => {
             if (!line.startsWith('#')) return;
 
@@ -27,10 +212,20 @@ class BMSParser {
             if (headerMatch) {
                 const key = headerMatch[1].toUpperCase();
                 const val = headerMatch[2].trim();
+                // Object ID after a command name, keeping its case under #BASE 62
+                const idAt = (n) => base62 ? headerMatch[1].substring(n) : key.substring(n);
                 if (key.startsWith('BPM') && key.length > 3) {
-                    bpmTable[key.substring(3)] = parseFloat(val);
+                    bpmTable[idAt(3)] = parseFloat(val);
                 } else if (key.startsWith('STOP') && key.length > 4) {
-                    stopTable[key.substring(4)] = parseFloat(val);
+                    stopTable[idAt(4)] = parseFloat(val);
+                } else if (key.startsWith('SCROLL') && key.length > 6) {
+                    scrollTable[idAt(6)] = parseFloat(val);
+                } else if (key.startsWith('SPEED') && key.length > 5) {
+                    speedTable[idAt(5)] = parseFloat(val);
+                } else if (key.startsWith('EXRANK') && key.length > 6) {
+                    exRankTable[idAt(6)] = parseFloat(val);
+                } else if ((key.startsWith('WAV') || key.startsWith('BMP')) && key.length > 3) {
+                    headers[key.substring(0, 3) + idAt(3)] = val;
                 } else if (isNaN(parseInt(key.substring(0, 3)))) {
                     headers[key] = val;
                 }
@@ -40,8 +235,12 @@ class BMSParser {
             const match = line.match(/^#(\d{3})(\w{2}):(.+)$/);
             if (match) {
                 const mIdx = parseInt(match[1]);
-                const chHex = parseInt(match[2], 16);
+                // SC/SP (scroll/speed) are the only non-hex channels we use
+                const chHex = /^[0-9A-F]{2}$/i.test(match[2]) ? parseInt(match[2], 16) : match[2].toUpperCase();
                 if (mIdx > maxMeasure) maxMeasure = mIdx;
+                if (match[3].length % 2 !== 0) {
+                    warnings.push({ level: 'error', measure: mIdx, message: `Channel ${match[2]} data has an odd length` });
+                }
                 if (!measureData[mIdx]) measureData[mIdx] = {};
                 if (!measureData[mIdx][chHex]) measureData[mIdx][chHex] = [];
                 measureData[mIdx][chHex].push(match[3]);
@@ -50,41 +249,73 @@ class BMSParser {
 
         const PLAYABLE_CHANNELS = new Set([
             0x11, 0x12, 0x13, 0x14, 0x15, 0x16, 0x18, 0x19, // P1 Hit
+            0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x28, 0x29  // P2 Hit
+        ]);
+        const LN_CHANNELS = new Set([
             0x51, 0x52, 0x53, 0x54, 0x55, 0x56, 0x58, 0x59, // P1 LN
-            0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x28, 0x29, // P2 Hit
             0x61, 0x62, 0x63, 0x64, 0x65, 0x66, 0x68, 0x69  // P2 LN
         ]);
 
+        // Long Note Model
+        // LNTYPE 1: Start/end pairs on 5x/6x. LNTYPE 2 (MGQ): a run of non-00 cells is one LN.
+        // LNOBJ: a normal-channel note with this id ends the previous note in the same lane.
+        const lnType = parseInt(headers['LNTYPE']) === 2 ? 2 : 1;
+        const lnObj = headers['LNOBJ'] ? (base62 ? headers['LNOBJ'].trim() : headers['LNOBJ'].trim().toUpperCase()) : null;
+        const openLn = {};         // ch -> LN note awaiting its end
+        const lastNormalNote = {}; // ch -> last note pushed on a normal channel (for LNOBJ)
+
         const notes = [];
+        const mines = [];
+        const invisibleNotes = [];
         const bgm = [];
         const bgaEvents = [];
         const bpmEvents = [];
 
         let currentBpm = parseFloat(headers['BPM'] || 130);
         let currentTime = 0;
-        let playableNoteCount = 0;
+        let currentBeat = 0;     // Quarter-note beats from the start of the chart
+        const measureTimes = []; // Start time of each measure, plus the end of the last one
+        const timeSignatures = []; // { measure, time, beat, scale } wherever channel 02 changes the length
+        let lastScaling = 1.0;
+
+        // Scroll position timeline: pos (beats scaled by SCROLL) is linear in time between points
+        let currentScroll = 1;
+        const scrollTimeline = [{ time: 0, pos: 0, rate: currentBpm / 60000 }];
+        const speedEvents = [];
+        const judgeRankEvents = []; // Mid-chart judge rank changes (channel A0)
+        const volumeEvents = [];    // { time, type: 'bgm'|'key', volume 0-1 } from channels 97/98
+        const addScrollPoint = (rate) => BMSParser.addScrollPoint(scrollTimeline, currentTime, rate);
+        const scrollRate = () => (currentBpm / 60000) * currentScroll;
 
         // Process measure by measure
         for (let m = 0; m <= maxMeasure; m++) {
+            measureTimes.push(currentTime);
             const data = measureData[m] || {};
             const measureScaling = (data[0x02] && data[0x02][0]) ? parseFloat(data[0x02][0]) : 1.0;
+            if (measureScaling !== lastScaling) {
+                timeSignatures.push({ measure: m, time: currentTime, beat: currentBeat, scale: measureScaling });
+                lastScaling = measureScaling;
+            }
 
             // Collect all events in this measure to sort them by position
             const eventsInMeasure = [];
 
             for (let ch in data) {
-                const chNum = parseInt(ch);
+                const chNum = isNaN(ch) ? ch : parseInt(ch);
                 if (chNum === 0x02) continue; // Skip scaling channel
 
+                // LNTYPE 2 ends a hold on the first empty cell, so keep 00s for LN channels
+                const keepEmpty = lnType === 2 && LN_CHANNELS.has(chNum);
+
                 data[ch].forEach(dataStr => {
                     const count = dataStr.length / 2;
                     for (let i = 0; i < count; i++) {
                         const val = dataStr.substr(i * 2, 2);
-                        if (val === '00') continue;
+                        if (val === '00' && !keepEmpty) continue;
                         eventsInMeasure.push({
                             pos: i / count,
                             ch: chNum,
-                            val: val.toUpperCase()
+                            val: base62 ? val : val.toUpperCase()
                         });
                     }
                 });
@@ -93,6 +324,20 @@ class BMSParser {
             // Sort events by position in measure
             eventsInMeasure.sort((a, b) => a.pos - b.pos);
 
+            if (Object.keys(data).some(ch => ch !== '2') && !eventsInMeasure.some(ev => ev.val !== '00')) {
+                warnings.push({ level: 'warning', measure: m, message: 'Measure has channel data but no objects' });
+            }
+
+            // LNTYPE 2: a hold still open from the previous measure ends if this measure has no data for it
+            if (lnType === 2) {
+                for (const ch in openLn) {
+                    if (!data[ch]) {
+                        BMSParser.closeLongNote(openLn[ch], currentTime, null);
+                        delete openLn[ch];
+                    }
+                }
+            }
+
             // Calculate time for each event
             let lastPos = 0;
             eventsInMeasure.forEach(ev => {
@@ -102,29 +347,85 @@ class BMSParser {
                 const beatsInSlice = posDiff * 4 * measureScaling;
                 const msPerBeat = 60000 / Math.max(0.001, currentBpm);
                 currentTime += beatsInSlice * msPerBeat;
+                currentBeat += beatsInSlice;
                 lastPos = ev.pos;
 
                 const id = ev.val;
                 const chNum = ev.ch;
 
                 if (PLAYABLE_CHANNELS.has(chNum)) {
-                    notes.push({ time: currentTime, ch: chNum, id, hit: false });
-                    playableNoteCount++;
+                    if (lnObj && id === lnObj && lastNormalNote[chNum] && lastNormalNote[chNum].endTime === undefined) {
+                        BMSParser.closeLongNote(lastNormalNote[chNum], currentTime, id);
+                        return;
+                    }
+                    if (lnObj && id === lnObj) {
+                        warnings.push({ level: 'error', measure: m, message: `LNOBJ end on channel ${chNum.toString(16).toUpperCase()} has no note to close` });
+                        return; // A stray release marker is not a playable note
+                    }
+                    const note = { time: currentTime, beat: currentBeat, measure: m, ch: chNum, id, hit: false };
+                    notes.push(note);
+                    lastNormalNote[chNum] = note;
+                } else if (LN_CHANNELS.has(chNum)) {
+                    if (lnType === 2) {
+                        if (id === '00') {
+                            if (openLn[chNum]) {
+                                BMSParser.closeLongNote(openLn[chNum], currentTime, null);
+                                delete openLn[chNum];
+                            }
+                        } else if (!openLn[chNum]) {
+                            openLn[chNum] = { time: currentTime, beat: currentBeat, measure: m, ch: chNum, id, hit: false };
+                            notes.push(openLn[chNum]);
+                        }
+                    } else if (openLn[chNum]) {
+                        BMSParser.closeLongNote(openLn[chNum], currentTime, id);
+                        delete openLn[chNum];
+                    } else {
+                        openLn[chNum] = { time: currentTime, beat: currentBeat, measure: m, ch: chNum, id, hit: false };
+                        notes.push(openLn[chNum]);
+                    }
+                } else if ((chNum >= 0x31 && chNum <= 0x39) || (chNum >= 0x41 && chNum <= 0x49)) {
+                    // Invisible note: never judged, only changes the lane's keysound
+                    invisibleNotes.push({ time: currentTime, ch: chNum, lane: chNum - 0x20, id });
+                } else if ((chNum >= 0xD1 && chNum <= 0xD9) || (chNum >= 0xE1 && chNum <= 0xE9)) {
+                    // Landmine: lane is the matching normal channel, damage is the base-36 value in gauge %
+                    const damage = id === 'ZZ' ? 100 : Math.min(100, BMSParser.decodeId(id, base62 ? 62 : 36) || 0);
+                    mines.push({ time: currentTime, ch: chNum, lane: chNum - 0xC0, damage });
                 } else if (chNum === 0x03) {
                     currentBpm = Math.max(0.001, parseInt(id, 16));
                     bpmEvents.push({ time: currentTime, bpm: currentBpm });
+                    addScrollPoint(scrollRate());
                 } else if (chNum === 0x08) {
                     const newBpm = bpmTable[id];
                     if (newBpm !== undefined) {
                         currentBpm = Math.max(0.001, newBpm);
                         bpmEvents.push({ time: currentTime, bpm: currentBpm });
+                        addScrollPoint(scrollRate());
                     }
                 } else if (chNum === 0x09) {
                     const stopValue = stopTable[id];
                     if (stopValue !== undefined) {
                         const stopMs = (stopValue / 192) * 4 * (60000 / Math.max(0.001, currentBpm));
+                        // Notes freeze during the stop
+                        addScrollPoint(0);
                         currentTime += stopMs;
+                        addScrollPoint(scrollRate());
+                    }
+                } else if (chNum === 'SC') {
+                    const scroll = scrollTable[id];
+                    if (scroll !== undefined && !isNaN(scroll)) {
+                        currentScroll = scroll;
+                        addScrollPoint(scrollRate());
                     }
+                } else if (chNum === 0x97 || chNum === 0x98) {
+                    // Volume 01-FF (hex), FF = full
+                    const level = parseInt(id, 16);
+                    if (!isNaN(level)) volumeEvents.push({ time: currentTime, type: chNum === 0x97 ? 'bgm' : 'key', volume: level / 255 });
+                } else if (chNum === 0xA0) {
+                    const exRank = exRankTable[id];
+                    if (exRank > 0) judgeRankEvents.push({ time: currentTime, judgeRank: BMSParser.exRankToJudgeRank(exRank) });
+                } else if (chNum === 'SP') {
+                    const speed = speedTable[id];
+                    if (speed !== undefined && !isNaN(speed)) speedEvents.push({ time: currentTime, speed });
                 } else if (chNum === 0x01) {
                     // Only channel 01 is BGM, other channels handled separately
                     bgm.push({ time: currentTime, id });
@@ -137,14 +438,242 @@ class BMSParser {
             const posDiff = 1.0 - lastPos;
             const beatsInSlice = posDiff * 4 * measureScaling;
             currentTime += beatsInSlice * (60000 / Math.max(0.001, currentBpm));
+            currentBeat += beatsInSlice;
+        }
+
+        measureTimes.push(currentTime);
+
+        // Holds still open at the end of the chart: MGQ runs end with the chart, unpaired starts become taps
+        for (const ch in openLn) {
+            if (lnType === 2) {
+                BMSParser.closeLongNote(openLn[ch], currentTime, null);
+            } else {
+                warnings.push({ level: 'error', measure: openLn[ch].measure, message: `Unterminated long note on channel ${parseInt(ch).toString(16).toUpperCase()}` });
+            }
+        }
+
+        return BMSParser.finalize({
+            headers, notes, mines, invisibleNotes, bgm, bgaEvents, bpmEvents,
+            base: base62 ? 62 : 36,
+            songDuration: currentTime, lnType, measureTimes, timeSignatures, scrollTimeline, speedEvents, judgeRankEvents, volumeEvents,
+            warnings,
+            randomSeed: control.seed,
+            randomBranches: control.randomBranches
+        });
+    }
+
+    /**
+     * Converts a bmson (JSON) chart into the same structures parse() produces.
+     * Each sound channel becomes one WAV id; notes with c=true continue the channel's audio,
+     * so every note carries the offset/duration of its slice of the file.
+     */
+    static parseBmson(text) {
+        const bmson = JSON.parse(text.replace(/^\uFEFF/, ''));
+        const info = bmson.info || {};
+        const resolution = info.resolution > 0 ? info.resolution : 240; // Pulses per beat
+        const initialBpm = info.init_bpm > 0 ? info.init_bpm : 130;
+        const toId = (n) => n.toString(36).toUpperCase().padStart(2, '0');
+
+        const headers = {
+            TITLE: info.title || '',
+            SUBTITLE: info.subtitle || '',
+            ARTIST: info.artist || '',
+            GENRE: info.genre || '',
+            PLAYLEVEL: String(info.level !== undefined ? info.level : ''),
+            BPM: String(initialBpm)
+        };
+        if (Array.isArray(info.subartists) && info.subartists.length > 0) headers['SUBARTIST'] = info.subartists.join(' / ');
+        if (info.eyecatch_image) headers['STAGEFILE'] = info.eyecatch_image;
+        if (info.back_image) headers['BACKBMP'] = info.back_image;
+        if (info.banner_image) headers['BANNER'] = info.banner_image;
+        if (info.preview_music) headers['PREVIEW'] = info.preview_music;
+        // TOTAL is a percentage of the default gauge total
+        headers['TOTAL'] = String(260 * (info.total > 0 ? info.total : 100) / 100);
+        // judge_rank is a percentage of the NORMAL window, like #DEFEXRANK
+        headers['DEFEXRANK'] = String(info.judge_rank > 0 ? info.judge_rank : 100);
+
+        // Tempo map: segments start after each BPM change or stop, times are in ms
+        const msPerPulse = (bpm) => 60000 / (Math.max(0.001, bpm) * resolution);
+        const tempoEvents = [
+            ...(bmson.bpm_events || []).map(e => ({ y: e.y, bpm: e.bpm })),
+            ...(bmson.scroll_events || []).map(e => ({ y: e.y, scroll: e.rate })),
+            ...(bmson.stop_events || []).map(e => ({ y: e.y, stop: e.duration }))
+        ].sort((a, b) => a.y - b.y || (a.stop !== undefined) - (b.stop !== undefined));
+
+        const segments = [{ y: 0, time: 0, bpm: initialBpm }];
+        const bpmEvents = [];
+        const scrollTimeline = [{ time: 0, pos: 0, rate: initialBpm / 60000 }];
+        let currentScroll = 1;
+        for (const ev of tempoEvents) {
+            const last = segments[segments.length - 1];
+            const time = last.time + (ev.y - last.y) * msPerPulse(last.bpm);
+            if (ev.stop !== undefined) {
+                const end = time + ev.stop * msPerPulse(last.bpm);
+                segments.push({ y: ev.y, time: end, bpm: last.bpm });
+                BMSParser.addScrollPoint(scrollTimeline, time, 0);
+                BMSParser.addScrollPoint(scrollTimeline, end, (last.bpm / 60000) * currentScroll);
+            } else if (ev.scroll !== undefined) {
+                currentScroll = ev.scroll;
+                BMSParser.addScrollPoint(scrollTimeline, time, (last.bpm / 60000) * currentScroll);
+            } else if (ev.bpm > 0) {
+                segments.push({ y: ev.y, time, bpm: ev.bpm });
+                bpmEvents.push({ time, bpm: ev.bpm });
+                BMSParser.addScrollPoint(scrollTimeline, time, (ev.bpm / 60000) * currentScroll);
+            }
         }
 
+        // Notes on a stop's pulse happen before the stop, so only earlier segments apply
+        const timeAt = (y) => {
+            let lo = 0, hi = segments.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (segments[mid].y < y) lo = mid;
+                else hi = mid - 1;
+            }
+            const seg = segments[lo];
+            return seg.time + (y - seg.y) * msPerPulse(seg.bpm);
+        };
+
+        // Lane x -> channel. beat: 1-7 keys, 8 scratch, 9-16 the 2P side. popn: 9 buttons as in PMS.
+        const isPopn = /^popn-/.test(info.mode_hint || '');
+        const laneChannels = isPopn
+            ? [0x11, 0x12, 0x13, 0x14, 0x15, 0x22, 0x23, 0x24, 0x25]
+            : [0x11, 0x12, 0x13, 0x14, 0x15, 0x18, 0x19, 0x16, 0x21, 0x22, 0x23, 0x24, 0x25, 0x28, 0x29, 0x26];
+
+        const notes = [];
+        const bgm = [];
+        let lastY = 0;
+
+        (bmson.sound_channels || []).forEach((sc, idx) => {
+            const id = toId(idx + 1);
+            headers['WAV' + id] = sc.name;
+
+            const scNotes = (sc.notes || []).slice().sort((a, b) => a.y - b.y);
+            let sliceStart = 0; // Time the channel's audio was last restarted
+            let nextIdx = 0;
+            scNotes.forEach((n, i) => {
+                const time = timeAt(n.y);
+                if (!n.c) sliceStart = time;
+
+                // A slice plays until the next note in the same channel
+                if (nextIdx <= i) nextIdx = i + 1;
+                while (nextIdx < scNotes.length && scNotes[nextIdx].y <= n.y) nextIdx++;
+                const event = { time, id };
+                const offset = time - sliceStart;
+                if (offset > 0) event.offset = offset;
+                if (nextIdx < scNotes.length) event.duration = timeAt(scNotes[nextIdx].y) - time;
+
+                const endY = n.y + (n.l > 0 ? n.l : 0);
+                if (endY > lastY) lastY = endY;
+
+                const ch = n.x > 0 ? laneChannels[n.x - 1] : undefined;
+                if (ch === undefined) {
+                    bgm.push(event);
+                    return;
+                }
+                const note = { ...event, beat: n.y / resolution, ch, hit: false };
+                if (n.l > 0) BMSParser.closeLongNote(note, timeAt(endY), null);
+                notes.push(note);
+            });
+        });
+
+        const bgaEvents = [];
+        const bga = bmson.bga || {};
+        (bga.bga_header || []).forEach(h => { headers['BMP' + toId(h.id)] = h.name; });
+        [['bga_events', 0x04], ['poor_events', 0x06], ['layer_events', 0x07]].forEach(([key, type]) => {
+            (bga[key] || []).forEach(e => {
+                if (e.y > lastY) lastY = e.y;
+                bgaEvents.push({ time: timeAt(e.y), id: toId(e.id), type });
+            });
+        });
+
+        // Bar lines give the measures; without them assume 4/4
+        const measurePulses = resolution * 4;
+        let lineYs = [...new Set((bmson.lines || []).map(l => l.y))].sort((a, b) => a - b);
+        if (lineYs.length === 0) {
+            for (let y = 0; y <= lastY; y += measurePulses) lineYs.push(y);
+            lineYs.push(lineYs[lineYs.length - 1] + measurePulses);
+        }
+        if (lineYs[0] !== 0) lineYs.unshift(0);
+        if (lineYs[lineYs.length - 1] < lastY) lineYs.push(lastY);
+        const measureTimes = lineYs.map(timeAt);
+
+        const timeSignatures = [];
+        let lastScale = 1;
+        for (let i = 0; i < lineYs.length - 1; i++) {
+            const scale = (lineYs[i + 1] - lineYs[i]) / measurePulses;
+            if (scale !== lastScale) {
+                timeSignatures.push({ measure: i, time: measureTimes[i], beat: lineYs[i] / resolution, scale });
+                lastScale = scale;
+            }
+        }
+        notes.forEach(n => {
+            const y = n.beat * resolution;
+            let m = 0;
+            while (m < lineYs.length - 2 && lineYs[m + 1] <= y) m++;
+            n.measure = m;
+        });
+
+        return BMSParser.finalize({
+            headers, notes, mines: [], invisibleNotes: [], bgm, bgaEvents, bpmEvents,
+            base: 36,
+            songDuration: measureTimes[measureTimes.length - 1], lnType: 1, measureTimes, timeSignatures,
+            scrollTimeline, speedEvents: [], judgeRankEvents: [], volumeEvents: [],
+            randomSeed: null,
+            randomBranches: []
+        });
+    }
+
+    /**
+     * Per-second note counts split into scratch, keys and long notes, plus notes per lane.
+     * Lanes are keyed by the 1x/2x channel (LN channels fold onto their lane).
+     */
+    static noteDistribution(notes, songDuration) {
+        const seconds = Math.max(1, Math.ceil(songDuration / 1000));
+        const density = {
+            scratch: new Array(seconds).fill(0),
+            keys: new Array(seconds).fill(0),
+            ln: new Array(seconds).fill(0)
+        };
+        const laneCounts = {};
+        notes.forEach(n => {
+            const lane = (n.ch >= 0x51 && n.ch <= 0x69) ? n.ch - 0x40 : n.ch;
+            laneCounts[lane] = (laneCounts[lane] || 0) + 1;
+            const sec = Math.min(seconds - 1, Math.max(0, Math.floor(n.time / 1000)));
+            if (n.endTime !== undefined) density.ln[sec]++;
+            else if (lane === 0x16 || lane === 0x26) density.scratch[sec]++;
+            else density.keys[sec]++;
+        });
+        return { density, laneCounts };
+    }
+
+    /**
+     * Derives the summary fields (TOTAL/RANK, NPS, BPM stats) shared by every chart format.
+     */
+    static finalize(chart) {
+        const { headers, notes, mines, invisibleNotes, bgm, bgaEvents, bpmEvents, songDuration, lnType, measureTimes } = chart;
+        const playableNoteCount = notes.length;
+        let maxLnDuration = 0;
+        notes.forEach(n => {
+            if (n.endTime !== undefined && n.endTime - n.time > maxLnDuration) maxLnDuration = n.endTime - n.time;
+        });
+
+        // #VOLWAV: overall chart volume in percent
+        const volWav = parseFloat(headers['VOLWAV']);
+
         let total = parseFloat(headers['TOTAL']);
         if (isNaN(total)) total = 260;
+        // Judge rank: percentage where #RANK 0-4 is 25/50/75/100/125; #DEFEXRANK overrides #RANK
         let rank = parseInt(headers['RANK']);
         if (isNaN(rank)) rank = 3;
+        rank = Math.min(4, Math.max(0, rank));
+        let judgeRank = BMSParser.RANK_JUDGE_RANKS[rank];
+        const defExRank = parseFloat(headers['DEFEXRANK']);
+        if (defExRank > 0) {
+            judgeRank = BMSParser.exRankToJudgeRank(defExRank);
+            rank = BMSParser.nearestRank(judgeRank);
+        }
 
-        const songDuration = currentTime;
         const noteTimes = notes.map(n => n.time).sort((a, b) => a - b);
         const firstNoteTime = noteTimes.length > 0 ? noteTimes[0] : 0;
         const startNps = noteTimes.length > 0
@@ -152,13 +681,15 @@ class BMSParser {
             : 0;
         const avgNps = songDuration > 0 ? (playableNoteCount / (songDuration / 1000)) : 0;
 
+        // Most notes in any one-second window starting at a note (two pointers over the sorted times)
         let maxNps = 0;
-        for (let i = 0; i < noteTimes.length; i++) {
-            const start = noteTimes[i];
-            const count = noteTimes.filter(t => t >= start && t < start + 1000).length;
-            if (count > maxNps) maxNps = count;
+        for (let i = 0, j = 0; i < noteTimes.length; i++) {
+            while (j < noteTimes.length && noteTimes[j] < noteTimes[i] + 1000) j++;
+            if (j - i > maxNps) maxNps = j - i;
         }
 
+        const { density, laneCounts } = BMSParser.noteDistribution(notes, songDuration);
+
         const initialBpm = parseFloat(headers['BPM'] || 130);
         const allBpmEvents = [{ time: 0, bpm: initialBpm }, ...bpmEvents.sort((a, b) => a.time - b.time)];
 
@@ -168,7 +699,7 @@ class BMSParser {
 
         for (let i = 0; i < allBpmEvents.length; i++) {
             const current = allBpmEvents[i];
-            const nextTime = (i < allBpmEvents.length - 1) ? allBpmEvents[i + 1].time : currentTime;
+            const nextTime = (i < allBpmEvents.length - 1) ? allBpmEvents[i + 1].time : songDuration;
             const duration = nextTime - current.time;
             const b = current.bpm;
 
@@ -189,9 +720,18 @@ class BMSParser {
 
         const avgFixBpm = (maxBpm + minBpm) / 2;
 
+        // BPM as a step function over time, without repeated values
+        const bpmTimeline = [];
+        allBpmEvents.forEach(e => {
+            if (bpmTimeline.length > 0 && bpmTimeline[bpmTimeline.length - 1].time === e.time) bpmTimeline.pop();
+            if (bpmTimeline.length === 0 || bpmTimeline[bpmTimeline.length - 1].bpm !== e.bpm) bpmTimeline.push({ time: e.time, bpm: e.bpm });
+        });
+
         return {
             headers,
             notes: notes.sort((a, b) => a.time - b.time),
+            mines: mines.sort((a, b) => a.time - b.time),
+            invisibleNotes: invisibleNotes.sort((a, b) => a.time - b.time),
             bgm: bgm.sort((a, b) => a.time - b.time),
             bgaEvents: bgaEvents.sort((a, b) => a.time - b.time),
             bpmEvents: bpmEvents.sort((a, b) => a.time - b.time),
@@ -200,8 +740,21 @@ class BMSParser {
             maxBpm,
             mainBpm,
             avgFixBpm,
-            total, rank, noteCount: playableNoteCount, songDuration,
-            startNps, avgNps, maxNps
+            base: chart.base,
+            total, rank, judgeRank, noteCount: playableNoteCount, songDuration,
+            judgeRankEvents: chart.judgeRankEvents || [],
+            volWav: volWav >= 0 ? volWav / 100 : 1,
+            volumeEvents: chart.volumeEvents || [],
+            lnType, maxLnDuration,
+            measureTimes,
+            timeSignatures: chart.timeSignatures,
+            scrollTimeline: chart.scrollTimeline,
+            speedEvents: chart.speedEvents,
+            startNps, avgNps, maxNps,
+            density, bpmTimeline, laneCounts,
+            warnings: chart.warnings || [],
+            randomSeed: chart.randomSeed,
+            randomBranches: chart.randomBranches
         };
     }
 }
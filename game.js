@@ -79,22 +79,43 @@ window.onunhandledrejection = function (event) {
 // ============================================================================
 // AUDIO CONTEXT & INITIALIZATION
 // ============================================================================
-const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+// The latency hint is needed before options.sav loads, so it lives in localStorage only (applies on restart)
+const AUDIO_LATENCY_HINT_KEY = 'lyruanna_latency_hint';
+const AUDIO_LATENCY_HINT = localStorage.getItem(AUDIO_LATENCY_HINT_KEY) || 'interactive';
+const audioCtx = new (window.AudioContext || window.webkitAudioContext)({ latencyHint: AUDIO_LATENCY_HINT });
 
 // Create Gain Nodes
 const masterGain = audioCtx.createGain();
 const bgmGain = audioCtx.createGain();
 const keyGain = audioCtx.createGain();
-
-// Connect Graph: Source -> [Key/BGM Gain] -> Master Gain -> Destination
+// Chart-controlled volume (#VOLWAV, channels 97/98), ahead of the player's sliders
+const chartBgmGain = audioCtx.createGain();
+const chartKeyGain = audioCtx.createGain();
+// Song select: the select loop and song previews crossfade between these
+const selectBgmGain = audioCtx.createGain();
+const previewGain = audioCtx.createGain();
+// Mixer channels for system sounds and previews (Settings > Audio)
+const systemGain = audioCtx.createGain();
+const previewMixGain = audioCtx.createGain();
+
+// Connect Graph: Source -> [Chart BGM/Key Gain] -> [Key/BGM Gain] -> Master Gain -> Destination
 masterGain.connect(audioCtx.destination);
 bgmGain.connect(masterGain);
 keyGain.connect(masterGain);
+chartBgmGain.connect(bgmGain);
+chartKeyGain.connect(keyGain);
+systemGain.connect(masterGain);
+previewMixGain.connect(masterGain);
+selectBgmGain.connect(systemGain);
+previewGain.connect(previewMixGain);
+previewGain.gain.value = 0;
 
 // Initialize Volumes (Default 0.5 i.e. 50%)
 masterGain.gain.value = 0.5;
 bgmGain.gain.value = 0.5;
 keyGain.gain.value = 0.5;
+systemGain.gain.value = 0.5;
+previewMixGain.gain.value = 0.5;
 
 // ----------------------------------------------------------------------------
 // CONSTANTS & HELPERS
@@ -120,6 +141,7 @@ const IS_DESKTOP = !!window.electronAPI;
 // ============================================================================
 // New file formats:
 //   scores.db    - merged lamps + best scores per chart
+//   practice.db  - best practice accuracy per chart section and rate (kept out of scores.db)
 //   replays/*.rep - individual replay files (no more replays.json)
 //   options.sav  - merged keybinds + player options
 
@@ -127,6 +149,9 @@ const IS_DESKTOP = !!window.electronAPI;
 // Format: { [fileRef]: { exScore, rate, rank, lampId } }
 let _scoresDb = {};
 
+// Practice records: { [fileRef]: { ['M<start>-<end>@<rate>']: { best, passes } } }
+let _practiceDb = {};
+
 // In-memory cache for replays (loaded on demand from .rep files)
 let _replaysCache = {};
 
@@ -210,11 +235,13 @@ async function initPersistentData() {
         if (oldReplays && Object.keys(oldReplays).length > 0) {
             console.log('Migrating replays.json to individual .rep files...');
             const userData = await window.electronAPI.getAppPath('userData');
-            for (const [fileRef, replayData] of Object.entries(oldReplays)) {
-                const safeName = fileRef.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-                const repPath = `${userData}/replays/${safeName}.rep`;
-                await window.electronAPI.writeFile(repPath, JSON.stringify(replayData));
-                _replaysCache[fileRef] = replayData;
+            for (const [fileRef, oldReplay] of Object.entries(oldReplays)) {
+                // replays.json is left in place, so never overwrite a slot saved since
+                const slotFile = getReplayFileName(fileRef, legacyReplaySlot());
+                const current = await window.electronAPI.readUserData(slotFile).catch(() => null);
+                if (current) continue;
+                const replayData = migrateReplay(oldReplay, fileRef);
+                await window.electronAPI.writeFile(`${userData}/${slotFile}`, JSON.stringify(replayData));
             }
             console.log(`Migrated ${Object.keys(oldReplays).length} replays to .rep files`);
         }
@@ -240,6 +267,12 @@ async function initPersistentData() {
         _replaysCache = JSON.parse(localStorage.getItem('replays') || '{}');
     }
 
+    if (IS_DESKTOP && window.electronAPI.readUserData) {
+        _practiceDb = await window.electronAPI.readUserData('practice.db').catch(() => null) || {};
+    } else {
+        _practiceDb = JSON.parse(localStorage.getItem('practice_scores') || '{}');
+    }
+
     _dataLoaded = true;
     console.log('Persistent data loaded');
 }
@@ -312,58 +345,248 @@ function _saveScoresDb() {
     }
 }
 
-function saveReplay(fileRef, log, score, lamp, isFC) {
+function getPracticeKey(p) {
+    return `M${p.startMeasure}-${p.endMeasure}@${p.rate}`;
+}
+
+function getPracticeRecord(fileRef, p) {
+    const records = _practiceDb[fileRef];
+    return (records && records[getPracticeKey(p)]) || { best: 0, passes: 0 };
+}
+
+/**
+ * Records one finished practice pass. Never touches scores.db: a section at a
+ * custom rate says nothing about a full play of the chart.
+ */
+function savePracticeRecord(fileRef, p, accuracy) {
+    const records = _practiceDb[fileRef] || (_practiceDb[fileRef] = {});
+    const entry = getPracticeRecord(fileRef, p);
+    records[getPracticeKey(p)] = { best: Math.max(entry.best, accuracy), passes: entry.passes + 1 };
+    if (IS_DESKTOP && window.electronAPI.writeUserData) {
+        window.electronAPI.writeUserData('practice.db', _practiceDb);
+    } else {
+        localStorage.setItem('practice_scores', JSON.stringify(_practiceDb));
+    }
+}
+
+/**
+ * Replay file (.rep) schema, version 2:
+ *   version, md5, fileRef, score, lampId, isFC, bp, timestamp
+ *   options     - REPLAY_OPTION_KEYS snapshot (modifier, gaugeType, judgeOffset, hi-speed, covers...)
+ *   random      - { modifierSeed, lanes, chartSeed, branches }: lane shuffle and #RANDOM outcome
+ *   input       - key events [{ t, k, a, d }]: song ms, key code, bound actions, down/up
+ *   judgements  - [{ judge, diff }] in the order they were given
+ * Version 1 files have no version field and keep key events and judgements mixed in `log`.
+ */
+const REPLAY_VERSION = 2;
+
+// Each chart keeps one replay per slot, stored as replays/<chart>.<slot>.rep
+const REPLAY_SLOTS = [
+    { id: 'BEST_EX', name: 'BEST EX' },
+    { id: 'BEST_LAMP', name: 'BEST LAMP' },
+    { id: 'FEWEST_BP', name: 'MIN BP' },
+    { id: 'LATEST', name: 'LATEST' }
+];
+
+/**
+ * Whether a new play should replace the replay held in a slot.
+ */
+function replayBeatsSlot(slot, replay, existing) {
+    if (!existing) return true;
+    switch (slot) {
+        case 'BEST_EX':
+            return replay.score > existing.score;
+        case 'BEST_LAMP':
+            return replay.lampId > existing.lampId || (replay.lampId === existing.lampId && replay.score > existing.score);
+        case 'FEWEST_BP':
+            return replay.bp < existing.bp || (replay.bp === existing.bp && replay.score > existing.score);
+        case 'LATEST':
+            return true;
+        default:
+            return false;
+    }
+}
+
+function saveReplay(fileRef, input, judgements, score, lamp, isFC) {
     if (STATE.autoplay) return;
-    if (STATE.replaySaveType === 'NONE') return;
+    const slots = (STATE.replaySlots || []).filter(id => REPLAY_SLOTS.some(slot => slot.id === id));
+    if (slots.length === 0) return;
+
+    const song = STATE.loadedSong || {};
+    const replayData = {
+        version: REPLAY_VERSION,
+        md5: song.md5 || null,
+        fileRef: fileRef,
+        score: score,
+        lampId: lamp.id,
+        isFC: isFC,
+        bp: STATE.judgeCounts.bad + STATE.judgeCounts.poor,
+        timestamp: Date.now(),
+        options: STATE.playOptions || captureReplayOptions(),
+        random: {
+            modifierSeed: STATE.modifierSeed,
+            lanes: STATE.lanePermutation,
+            chartSeed: song.randomSeed,
+            branches: (song.randomBranches || []).map(b => b.value)
+        },
+        input: input,
+        judgements: judgements
+    };
+
+    const saved = getReplays(fileRef);
+    const updated = slots.filter(slot => replayBeatsSlot(slot, replayData, saved[slot]));
+    if (updated.length === 0) return;
 
-    const existing = getReplay(fileRef);
-    let shouldSave = false;
+    updated.forEach(slot => saved[slot] = replayData);
+    _replaysCache[fileRef] = saved;
 
-    if (!existing) {
-        shouldSave = true;
+    if (IS_DESKTOP && window.electronAPI.writeFile) {
+        updated.forEach(slot => writeReplayFile(fileRef, slot, replayData));
     } else {
-        if (STATE.replaySaveType === 'BEST_EX') {
-            if (score > existing.score) shouldSave = true;
-        } else if (STATE.replaySaveType === 'BEST_LAMP') {
-            if (lamp.id > existing.lampId) shouldSave = true;
-            else if (lamp.id === existing.lampId && score > existing.score) shouldSave = true;
-        } else if (STATE.replaySaveType === 'FULL_COMBO') {
-            if (isFC) {
-                if (!existing.isFC) shouldSave = true;
-                else if (score > existing.score) shouldSave = true;
-            }
-        }
+        localStorage.setItem('replays', JSON.stringify(_replaysCache));
     }
 
-    if (shouldSave) {
-        const replayData = {
-            score: score,
-            lampId: lamp.id,
-            isFC: isFC,
-            log: log,
-            timestamp: Date.now()
-        };
-        _replaysCache[fileRef] = replayData;
-
-        if (IS_DESKTOP && window.electronAPI.writeFile) {
-            // Save only to .rep file (no more replays.json)
-            (async () => {
-                const userData = await window.electronAPI.getAppPath('userData');
-                const safeName = fileRef.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-                const repPath = `${userData}/replays/${safeName}.rep`;
-                await window.electronAPI.writeFile(repPath, JSON.stringify(replayData));
-                console.log("Replay saved:", repPath);
-            })();
-        } else {
-            localStorage.setItem('replays', JSON.stringify(_replaysCache));
+    console.log(`Replay saved! (${updated.join(', ')})`, replayData);
+    if (fileRef === STATE.currentFileRef) renderReplaySlots(fileRef);
+}
+
+async function writeReplayFile(fileRef, slot, replayData) {
+    const userData = await window.electronAPI.getAppPath('userData');
+    const repPath = `${userData}/${getReplayFileName(fileRef, slot)}`;
+    await window.electronAPI.writeFile(repPath, JSON.stringify(replayData));
+    console.log("Replay saved:", repPath);
+}
+
+/**
+ * Upgrades a replay to REPLAY_VERSION. Version 1 replays have no option set or lane seed,
+ * so playback falls back to the current options for anything they did not record.
+ */
+function migrateReplay(data, fileRef) {
+    if (!data || data.version >= REPLAY_VERSION) return data;
+
+    const log = Array.isArray(data.log) ? data.log : [];
+    const judgements = log.filter(e => e.judge !== undefined).map(e => ({ judge: e.judge, diff: e.diff }));
+    const chart = STATE.charts.find(c => c.fileRef === fileRef);
+    return {
+        version: REPLAY_VERSION,
+        md5: chart && chart.md5 ? chart.md5 : null,
+        fileRef: fileRef,
+        score: data.score || 0,
+        lampId: data.lampId || 0,
+        isFC: !!data.isFC,
+        bp: judgements.filter(j => j.judge === 'BAD' || j.judge === 'POOR').length,
+        timestamp: data.timestamp || 0,
+        options: data.options || { judgeOffset: data.judgeOffset || 0 },
+        random: {
+            modifierSeed: data.modifierSeed,
+            lanes: null,
+            chartSeed: data.randomSeed,
+            branches: null
+        },
+        input: log.filter(e => e.t !== undefined && e.k),
+        judgements: judgements
+    };
+}
+
+/**
+ * Slot a single-replay-per-chart save lands in, from the old replaySaveType option.
+ */
+function legacyReplaySlot(saveType = STATE.replaySaveType) {
+    return (saveType === 'BEST_LAMP' || saveType === 'FULL_COMBO') ? 'BEST_LAMP' : 'BEST_EX';
+}
+
+function isReplayData(data) {
+    return !!data && (Array.isArray(data.input) || Array.isArray(data.log));
+}
+
+/**
+ * Cached replays of a chart keyed by slot id. Single replays from older saves move into a slot.
+ */
+function getReplays(fileRef) {
+    let saved = _replaysCache[fileRef];
+    if (!saved) return {};
+    if (isReplayData(saved)) saved = { [legacyReplaySlot()]: saved };
+    for (const slot of Object.keys(saved)) {
+        saved[slot] = migrateReplay(saved[slot], fileRef);
+    }
+    _replaysCache[fileRef] = saved;
+    return saved;
+}
+
+function getReplay(fileRef, slot) {
+    return getReplays(fileRef)[slot] || null;
+}
+
+function getReplayFileName(fileRef, slot) {
+    const base = `replays/${fileRef.replace(/[^a-z0-9]/gi, '_').toLowerCase()}`;
+    return slot ? `${base}.${slot.toLowerCase()}.rep` : `${base}.rep`;
+}
+
+/**
+ * Like getReplays, but reads the chart's .rep files on first use (desktop).
+ * A pre-slot <chart>.rep fills its slot if empty; older files are rewritten in the current format.
+ */
+async function loadReplays(fileRef) {
+    if (_replaysCache[fileRef] || !IS_DESKTOP || !window.electronAPI.readUserData) return getReplays(fileRef);
+
+    const saved = {};
+    const read = async (name) => {
+        try {
+            return await window.electronAPI.readUserData(name);
+        } catch (e) {
+            console.warn('Failed to read replay:', name, e);
+            return null;
         }
+    };
 
-        console.log("Replay saved!", replayData);
+    for (const { id } of REPLAY_SLOTS) {
+        const raw = await read(getReplayFileName(fileRef, id));
+        if (!isReplayData(raw)) continue;
+        saved[id] = migrateReplay(raw, fileRef);
+        if (saved[id] !== raw) writeReplayFile(fileRef, id, saved[id]);
     }
+
+    const legacySlot = legacyReplaySlot();
+    if (!saved[legacySlot]) {
+        const raw = await read(getReplayFileName(fileRef));
+        if (isReplayData(raw)) {
+            saved[legacySlot] = migrateReplay(raw, fileRef);
+            writeReplayFile(fileRef, legacySlot, saved[legacySlot]);
+        }
+    }
+
+    _replaysCache[fileRef] = saved;
+    return saved;
 }
 
-function getReplay(fileRef) {
-    return _replaysCache[fileRef] || null;
+async function loadReplay(fileRef, slot) {
+    return (await loadReplays(fileRef))[slot] || null;
+}
+
+/**
+ * Saves one slot's replay to a user-chosen file (desktop) or downloads it (web).
+ */
+async function exportReplay(fileRef, slot) {
+    const replay = await loadReplay(fileRef, slot);
+    if (!replay) return;
+
+    const chart = STATE.charts.find(c => c.fileRef === fileRef);
+    const title = (chart && chart.title ? chart.title : 'replay').replace(/[\\/:*?"<>|]/g, '_');
+    const fileName = `${title} [${slot}].rep`;
+
+    if (IS_DESKTOP && window.electronAPI.saveReplayDialog) {
+        const target = await window.electronAPI.saveReplayDialog(fileName);
+        if (!target) return;
+        await window.electronAPI.writeFile(target, JSON.stringify(replay));
+        console.log('Replay exported:', target);
+    } else {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
 }
 
 // ----------------------------------------------------------------------------
@@ -376,7 +599,11 @@ class DataLayer {
         this.webFiles = {}; // Map<filename, File>
     }
 
-    async readFile(ref) {
+    /**
+     * Reads a text file. encoding is the one stored in the library at scan time;
+     * without it the encoding is detected from the bytes (EncodingUtils).
+     */
+    async readFile(ref, encoding = null) {
         if (IS_DESKTOP) {
             // ref is absolute path string
             const data = await window.electronAPI.readFile(ref);
@@ -391,11 +618,11 @@ class DataLayer {
             } else {
                 throw new Error('Unexpected data format from readFile');
             }
-            return new TextDecoder('shift-jis').decode(uint8);
+            return new TextDecoder(encoding || EncodingUtils.detectEncoding(uint8)).decode(uint8);
         } else {
             // ref is File object
-            const buffer = await ref.arrayBuffer();
-            return new TextDecoder('shift-jis').decode(buffer);
+            const bytes = new Uint8Array(await ref.arrayBuffer());
+            return new TextDecoder(encoding || EncodingUtils.detectEncoding(bytes)).decode(bytes);
         }
     }
 
@@ -670,46 +897,11 @@ function initAdvancedOptions() {
     setupToggle('adv-lane-cover', 'laneCover');
     setupToggle('adv-lift-cover', 'liftCover');
     setupToggle('adv-hidden', 'hidden');
+    setupToggle('adv-ignore-gimmicks', 'ignoreScrollGimmicks');
+    setupToggle('adv-song-preview', 'songPreview');
 
-    // 2. Sound Options Sliders
-    const setupSlider = (id, prop) => {
-        const el = document.getElementById(id);
-        const valEl = document.getElementById(id + '-val');
-        if (el && valEl) {
-            el.addEventListener('input', (e) => {
-                const val = parseInt(e.target.value);
-                STATE[prop] = val;
-                valEl.textContent = val;
-
-                // Apply volume immediately
-                const gainVal = val / 100;
-                if (prop === 'masterVolume') {
-                    if (window.masterGain) window.masterGain.gain.value = gainVal; // Global ref fallback
-                    else masterGain.gain.value = gainVal;
-                } else if (prop === 'keyVolume') {
-                    keyGain.gain.value = gainVal;
-                } else if (prop === 'bgmVolume') {
-                    bgmGain.gain.value = gainVal;
-                }
-            });
-            el.addEventListener('change', _saveOptions); // Save on release
-
-            // Init view
-            if (typeof STATE[prop] === 'undefined') STATE[prop] = 50;
-            el.value = STATE[prop];
-            valEl.textContent = STATE[prop];
-
-            // Init Gain Node from Saved State
-            const initGain = STATE[prop] / 100;
-            if (prop === 'masterVolume') masterGain.gain.value = initGain;
-            else if (prop === 'keyVolume') keyGain.gain.value = initGain;
-            else if (prop === 'bgmVolume') bgmGain.gain.value = initGain;
-        }
-    };
-
-    setupSlider('adv-master-vol', 'masterVolume');
-    setupSlider('adv-key-vol', 'keyVolume');
-    setupSlider('adv-bgy-vol', 'bgmVolume');
+    // 2. Sound: the mixer lives in Settings > Audio
+    applyMixerVolumes();
 
     // 3. Right Menu Buttons (GAS, BGA, Auto Judge)
     const setupButtons = (boxId, prop, refreshUiFunc) => {
@@ -725,8 +917,8 @@ function initAdvancedOptions() {
                         if (val === 'ON') STATE[prop] = 'ON'; // Keep string for BGA
                         else if (val === 'AUTO') STATE[prop] = 'AUTO';
                         else STATE[prop] = 'OFF';
-                    } else if (prop === 'autoJudgeAdjust') {
-                        STATE[prop] = val === 'ON';
+                    } else if (prop === 'autoOffset') {
+                        STATE[prop] = val;
                     }
                     _saveOptions();
                     if (refreshUiFunc) refreshUiFunc();
@@ -737,7 +929,7 @@ function initAdvancedOptions() {
 
     setupButtons('adv-box-gas', 'gaugeAutoShift', updateOptionsUI);
     setupButtons('adv-box-bga', 'bgaDisplay', updateOptionsUI);
-    setupButtons('adv-box-auto-judge', 'autoJudgeAdjust', updateOptionsUI);
+    setupButtons('adv-box-auto-judge', 'autoOffset', updateOptionsUI);
 
     // GAS Limit Cycler
     const gasLimitEl = document.getElementById('adv-gas-limit');
@@ -762,6 +954,18 @@ function initAdvancedOptions() {
         });
     }
 
+    // Long Note Mode Cycler
+    const lnModeEl = document.getElementById('adv-ln-mode');
+    if (lnModeEl) {
+        lnModeEl.addEventListener('click', () => {
+            const modes = ['LN', 'CN', 'HCN'];
+            const currentIdx = modes.indexOf(STATE.lnMode || 'LN');
+            STATE.lnMode = modes[(currentIdx + 1) % modes.length];
+            _saveOptions();
+            updateAdvancedOptionsUI();
+        });
+    }
+
     // Timing Reset
     const timingBtn = document.getElementById('adv-timing-label');
     if (timingBtn) {
@@ -798,27 +1002,17 @@ function updateAdvancedOptionsUI() {
     updateToggle('adv-lane-cover', STATE.laneCover);
     updateToggle('adv-lift-cover', STATE.liftCover);
     updateToggle('adv-hidden', STATE.hidden);
+    updateToggle('adv-ignore-gimmicks', STATE.ignoreScrollGimmicks);
+    updateToggle('adv-song-preview', STATE.songPreview);
 
-    // 3. Sound Sliders
-    const updateSlider = (id, val) => {
-        const el = document.getElementById(id);
-        const valEl = document.getElementById(id + '-val');
-        if (el && document.activeElement !== el) el.value = val;
-        if (valEl) valEl.textContent = val;
-    };
-    updateSlider('adv-master-vol', STATE.masterVolume || 50);
-    updateSlider('adv-key-vol', STATE.keyVolume || 50);
-    updateSlider('adv-bgy-vol', STATE.bgmVolume || 50);
-
-    // 4. Option Box Buttons (Active State)
+    // 3. Option Box Buttons (Active State)
     const updateBox = (boxId, prop) => {
         const box = document.getElementById(boxId);
         if (!box) return;
         const val = STATE[prop];
         box.querySelectorAll('.adv-btn').forEach(btn => {
             let active = false;
-            if (prop === 'autoJudgeAdjust') active = (btn.dataset.val === 'ON' && val === true) || (btn.dataset.val === 'OFF' && val === false);
-            else if (btn.dataset.val === val) active = true;
+            if (btn.dataset.val === val) active = true;
 
             if (active) btn.classList.add('active');
             else btn.classList.remove('active');
@@ -827,15 +1021,15 @@ function updateAdvancedOptionsUI() {
 
     updateBox('adv-box-gas', 'gaugeAutoShift');
     updateBox('adv-box-bga', 'bgaDisplay');
-    updateBox('adv-box-auto-judge', 'autoJudgeAdjust');
+    updateBox('adv-box-auto-judge', 'autoOffset');
 
-    // 5. Notes Display Time
+    // 4. Notes Display Time
     const gnValEl = document.getElementById('adv-green-val');
     const durValEl = document.getElementById('adv-duration-val');
     if (gnValEl) gnValEl.textContent = (STATE.greenNumber || 300).toFixed(0);
     if (durValEl) durValEl.textContent = (STATE.greenNumber || 300).toFixed(0);
 
-    // 6. Timing
+    // 5. Timing
     const timingValEl = document.getElementById('adv-timing-val');
     if (timingValEl) {
         const t = STATE.judgeOffset || 0;
@@ -850,7 +1044,7 @@ function updatePacemaker(now) {
     }
     ui.pacemaker.style.display = 'flex';
 
-    const totalNotes = STATE.loadedSong.notes.length;
+    const totalNotes = getTotalJudgeCount();
     const maxEx = totalNotes * 2;
     const bestScoreData = getBestScore(STATE.currentFileRef);
     const bestExScore = bestScoreData.exScore;
@@ -1092,9 +1286,11 @@ function _saveOptions() {
             pacemakerTarget: STATE.pacemakerTarget,
             fullscreen: STATE.fullscreen,
             resolution: STATE.resolution,
-            replaySaveType: STATE.replaySaveType,
+            replaySlots: STATE.replaySlots,
             showTally: STATE.showTally,
             frameLimit: STATE.frameLimit,
+            maxPolyphony: STATE.maxPolyphony,
+            audioCacheMB: STATE.audioCacheMB,
             // Lane Cover Persistence
             suddenPlus: STATE.suddenPlus,
             lift: STATE.lift,
@@ -1103,18 +1299,26 @@ function _saveOptions() {
             gasMinGauge: STATE.gasMinGauge,
             judgeOffset: STATE.judgeOffset,
             autoOffset: STATE.autoOffset,
+            visualOffset: STATE.visualOffset,
             greenFix: STATE.greenFix,
             targetGreenNumber: STATE.targetGreenNumber, // Persist constant GN preference
             bgaDisplay: STATE.bgaDisplay,
-            autoJudgeAdjust: STATE.autoJudgeAdjust,
+            lnMode: STATE.lnMode,
             // Misc Options
             laneCover: STATE.laneCover,
             liftCover: STATE.liftCover,
             hidden: STATE.hidden,
+            ignoreScrollGimmicks: STATE.ignoreScrollGimmicks,
+            songPreview: STATE.songPreview,
             // Sound Options
             masterVolume: STATE.masterVolume,
             keyVolume: STATE.keyVolume,
             bgmVolume: STATE.bgmVolume,
+            systemVolume: STATE.systemVolume,
+            previewVolume: STATE.previewVolume,
+            loudnessNormalize: STATE.loudnessNormalize,
+            audioOutputDevice: STATE.audioOutputDevice,
+            latencyCompensation: STATE.latencyCompensation,
             // Rivals
             rivalUserIds: STATE.rivalUserIds || []
         }
@@ -1204,12 +1408,16 @@ function updateAdvancedOptionsUI() {
     // Update Judge Auto Adjust buttons
     const autoJudgeBox = document.getElementById('adv-box-auto-judge');
     if (autoJudgeBox) {
-        const autoVal = STATE.autoJudgeAdjust ? 'ON' : 'OFF';
+        const autoVal = STATE.autoOffset === 'ON' ? 'ON' : 'OFF';
         autoJudgeBox.querySelectorAll('.adv-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.val === autoVal);
         });
     }
 
+    // Update Long Note Mode
+    const lnModeVal = document.getElementById('adv-ln-mode-val');
+    if (lnModeVal) lnModeVal.textContent = STATE.lnMode || 'LN';
+
     // Update Judge Timing display
     const timingVal = document.getElementById('adv-timing-val');
     if (timingVal) {
@@ -1240,7 +1448,7 @@ function handleAdvancedPanelInput(action) {
 
     // Key 3: Judge Auto Adjust (toggle)
     if (action === ACTIONS.P1_3) {
-        STATE.autoJudgeAdjust = !STATE.autoJudgeAdjust;
+        STATE.autoOffset = STATE.autoOffset === 'ON' ? 'OFF' : 'ON';
         changed = true;
     }
 
@@ -1549,6 +1757,10 @@ async function loadPlayerOptionsAsync() {
 
     if (options) {
         Object.assign(STATE, options);
+        // Single replay save type → replay slots
+        if (!Array.isArray(options.replaySlots) && options.replaySaveType) {
+            STATE.replaySlots = options.replaySaveType === 'NONE' ? [] : [legacyReplaySlot(options.replaySaveType)];
+        }
         if (STATE.targetDuration === undefined && STATE.speed) {
             // Initial derivation if missing
             const bpm = 150;
@@ -1598,9 +1810,25 @@ function renderSettings() {
     document.getElementById('opt-fullscreen').checked = STATE.fullscreen;
     document.getElementById('opt-resolution').value = STATE.resolution;
     document.getElementById('opt-show-tally').checked = STATE.showTally;
-    document.getElementById('opt-replay-type').value = STATE.replaySaveType || 'BEST_EX';
+    REPLAY_SLOTS.forEach(slot => {
+        const el = document.getElementById(`opt-replay-slot-${slot.id}`);
+        if (el) el.checked = (STATE.replaySlots || []).includes(slot.id);
+    });
     document.getElementById('opt-green-fix').checked = (STATE.greenFix && STATE.greenFix !== 'OFF');
     document.getElementById('opt-frame-limit').value = STATE.frameLimit || 'VSYNC';
+    document.getElementById('opt-max-polyphony').value = STATE.maxPolyphony || DEFAULT_POLYPHONY;
+    document.getElementById('opt-audio-cache').value = STATE.audioCacheMB !== undefined ? STATE.audioCacheMB : DEFAULT_AUDIO_CACHE_MB;
+    MIXER_CHANNELS.forEach(ch => {
+        document.getElementById(ch.id).value = mixerVolume(ch.prop);
+        document.getElementById(ch.id + '-val').textContent = mixerVolume(ch.prop);
+    });
+    document.getElementById('opt-loudness-normalize').checked = !!STATE.loudnessNormalize;
+    document.getElementById('opt-latency-hint').value = localStorage.getItem(AUDIO_LATENCY_HINT_KEY) || 'interactive';
+    updateLatencyHintNote();
+    document.getElementById('opt-latency-compensation').checked = !!STATE.latencyCompensation;
+    renderAudioOutputSettings();
+    document.getElementById('opt-judge-offset').value = STATE.judgeOffset || 0;
+    document.getElementById('opt-visual-offset').value = STATE.visualOffset || 0;
 
     // Tachi Settings
     const tachiKeyInput = document.getElementById('opt-tachi-api-key');
@@ -1720,13 +1948,17 @@ const ACTION_TO_CHANNELS = {
     [ACTIONS.P2_4]: CHANNELS.P2.KEY4, [ACTIONS.P2_5]: CHANNELS.P2.KEY5, [ACTIONS.P2_6]: CHANNELS.P2.KEY6, [ACTIONS.P2_7]: CHANNELS.P2.KEY7
 };
 
-// TIMING WINDOWS (ms +/-)
+// TIMING WINDOWS (ms +/-), keyed by judge rank %: the #RANK 0-3 tables (VERY HARD to EASY).
+// The parser maps #RANK/#DEFEXRANK/#EXRANK to these percentages (BMSParser.RANK_JUDGE_RANKS).
 const JUDGE_WINDOWS = {
-    0: { PG: 8, GR: 24, GD: 40, BD: 100, PR: 200 },
-    1: { PG: 15, GR: 32, GD: 60, BD: 100, PR: 200 },
-    2: { PG: 18, GR: 40, GD: 80, BD: 100, PR: 200 },
-    3: { PG: 21, GR: 60, GD: 120, BD: 200, PR: 200 }
+    25: { PG: 8, GR: 24, GD: 40, BD: 100, PR: 200 },
+    50: { PG: 15, GR: 32, GD: 60, BD: 100, PR: 200 },
+    75: { PG: 18, GR: 40, GD: 80, BD: 100, PR: 200 },
+    100: { PG: 21, GR: 60, GD: 120, BD: 200, PR: 200 }
 };
+const JUDGE_WINDOW_RANKS = Object.keys(JUDGE_WINDOWS).map(Number).sort((a, b) => a - b);
+const DEFAULT_JUDGE_RANK = 100; // EASY, the parser's default when #RANK is missing
+const RANK_NAMES = ['VERY HARD', 'HARD', 'NORMAL', 'EASY', 'VERY EASY'];
 
 const STATE = {
     files: {}, // Web: File objects. Desktop: Path strings
@@ -1749,6 +1981,12 @@ const STATE = {
     difficultyFilter: 'ALL', // ALL, BEGINNER, NORMAL, HYPER, ANOTHER, LEGGENDARIA
     keyModeFilter: 'ALL', // ALL, 单, 5, 7, 9, 双, 10, 14
     hiSpeedFix: 'NONE', // NONE, MIN, MAX, AVG, CONSTANT, START, MAIN
+    judgeRank: null,      // Current judge rank % (changes mid-chart with channel A0)
+    judgeRankCursor: 0,   // Next entry of loadedSong.judgeRankEvents
+    chartVolume: { bgm: 1, key: 1 }, // Current channel 97/98 levels (0-1)
+    volumeCursor: 0,      // Next entry of loadedSong.volumeEvents
+    ignoreScrollGimmicks: false, // Draw notes by time only (no STOP/SCROLL/SPEED effects)
+    songPreview: true, // Play #PREVIEW or a rendered excerpt on song select
     pacemakerTarget: 'OFF', // OFF, AAA, AA, A, NEXT, MY BEST
     fullscreen: false,
     resolution: '1280x720',
@@ -1761,6 +1999,15 @@ const STATE = {
     targetDuration: 500, // Primary determinant for note speed (ms)
     targetGreenNumber: 300, // Derived from Duration (LR2 compatibility)
     frameLimit: 'VSYNC', // VSYNC, 120, 240, 480, 960, UNLIMITED
+    maxPolyphony: 128, // Keysound voices playing at once before the oldest is cut
+    audioCacheMB: 256, // Memory budget for decoded keysounds kept between plays (0 = off)
+    systemVolume: 50, // Mixer: menu sounds and select BGM (0-100)
+    previewVolume: 50, // Mixer: song previews (0-100)
+    loudnessNormalize: false, // Scale each chart to a common level (gain measured once per chart)
+    loudnessGain: 1, // Normalization gain for the chart being played
+    audioOutputDevice: '', // setSinkId device ID ('' = system default)
+    latencyCompensation: false, // Shift judgement and visuals by the reported output latency (calibrated offsets already include it)
+    outputLatencyMs: 0, // Latency applied to the song clock for the current play
     fps: 0,
     lastFrameTime: 0,
     frameCount: 0,
@@ -1788,7 +2035,7 @@ const STATE = {
     stagefileUrl: null,
     bannerUrl: null,
 
-    activeSources: new Set(), // Track active audio sources
+    activeSources: new Map(), // WAV ID -> { source, startAt, type } playing or queued voice
 
     activeActions: new Set(),
     judgement: { type: null, time: 0, combo: 0, isEmpty: false },
@@ -1819,6 +2066,8 @@ const STATE = {
     loadingComplete: false, // Flag to prevent audio during loading
     isFadingOut: false, // Flag to block inputs during fade out animation
     currentParseId: 0, // Counter to track and abort stale parsing requests
+    currentChartText: null, // Raw text of the selected chart (for #RANDOM re-rolls)
+    forcedRandom: null, // { seed, randomValues } to reproduce a specific #RANDOM outcome (replays)
 
     // Lane Cover State
     suddenPlus: 20, // 20% default
@@ -1832,6 +2081,28 @@ const STATE = {
     gasMinGauge: 'ASSIST',  // ASSIST, EASY, GROOVE
     judgeOffset: 0,         // Timing offset in ms (no cap)
     autoOffset: 'OFF',      // OFF, ON
+    visualOffset: 0,        // Note drawing offset in ms (+ = notes arrive later)
+    autoOffsetSamples: [],  // Recent hit diffs for AUTO ADJUST
+    autoOffsetChanged: false,
+    isCalibrating: false,   // Timing calibration (metronome chart) in progress
+    calibrationRestore: null, // STATE fields to put back after calibration
+    isReplay: false,        // Playing back a saved replay instead of live input
+    replay: null,           // Replay being played back
+    replaySlots: ['BEST_EX', 'BEST_LAMP', 'FEWEST_BP', 'LATEST'], // Enabled REPLAY_SLOTS ids
+    selectedReplaySlot: null, // Slot picked in the info card for REPLAY / EXPORT
+    replayRestore: null,    // Player options to put back after replay playback
+    replayLog: [],          // Recorded key events of the replay ({t, k, d})
+    replayCursor: 0,
+    replaySeekTarget: 0,    // Song ms to skip to after a backward seek restarts the replay
+    isSeeking: false,       // Simulating skipped time (sounds muted)
+    playOptions: null,      // REPLAY_OPTION_KEYS snapshot taken at stage start
+    modifierSeed: 0,        // Seed for RANDOM/S-RANDOM/H-RANDOM lane shuffles
+    lanePermutation: null,  // P1 key channels in lane order after MIRROR/RANDOM/R-RANDOM
+    practice: null,         // Active practice session (section, rate, loop results)
+    practiceRestore: null,  // STATE fields to put back after practice
+    isPracticeOpen: false,  // Practice setup modal shown
+    playbackRate: 1,        // Song clock speed (practice only)
+    practiceBuffers: null,  // Time-stretched copies of audioBuffers for a pitch-preserving practice rate
     isAdvancedPanelOpen: false,
     key3HoldTimer: null,
     gasContinueMode: false, // Flag for CONTINUE mode (gauge stays 0%)
@@ -1846,7 +2117,14 @@ const STATE = {
     assistLegacyNote: false,
     assistAutoScratch: false,
     assistBPMGuide: false,
-    assistNoMines: false
+    assistNoMines: false,
+
+    // Long Notes
+    lnMode: 'LN', // LN, CN, HCN
+    heldNotes: [], // Long notes currently being held (or dropped HCNs still draining)
+    mineCursor: 0, // Next landmine to reach the judge line
+    laneKeysounds: {}, // lane channel -> { events: [{ time, id }], cursor } for empty presses
+    totalJudgeCount: 0 // Judgements in this play (CN/HCN count LN tails separately)
 };
 
 function rebuildInputMap() {
@@ -1874,6 +2152,11 @@ const parserWorker = new Worker(workerUrl);
 let _metadataCache = {};
 let _metadataCacheDirty = false;
 let _metadataSaveTimeout = null;
+// Bump whenever the parser output shape changes so stale songs.db entries get re-parsed
+const METADATA_CACHE_VERSION = 14;
+// #RANDOM charts: song select stats, density and lint all describe this one fixed roll
+// (plays roll fresh), so the cached metadata is the same however often a chart is parsed
+const METADATA_RANDOM_SEED = 1;
 
 async function loadMetadataCache() {
     if (IS_DESKTOP) {
@@ -1896,7 +2179,10 @@ function saveMetadataCacheThrottled() {
     }, 5000); // 5 second throttle
 }
 
-function parseChartAsync(text) {
+/**
+ * Parses a chart in the worker. options.seed / options.randomValues pin the #RANDOM outcome.
+ */
+function parseChartAsync(text, options = {}) {
     // Increment parse ID to invalidate any pending parses
     const parseId = ++STATE.currentParseId;
 
@@ -1932,10 +2218,244 @@ function parseChartAsync(text) {
 
         parserWorker.addEventListener('message', handler);
         parserWorker.addEventListener('error', errHandler);
-        parserWorker.postMessage({ id: parseId, text: text });
+        parserWorker.postMessage({ id: parseId, text: text, options: options });
+    });
+}
+
+// ----------------------------------------------------------------------------
+// CHART LINT
+// ----------------------------------------------------------------------------
+// Issues are { level: 'error'|'warning', measure, message }; the parser reports the ones it sees in raw data
+const _lintCache = {}; // md5 -> issues for this session (file checks hit the disk)
+
+/**
+ * #TOTAL most charts are tuned around for a given note count.
+ */
+function recommendedTotal(noteCount) {
+    return 7.605 * noteCount / (0.01 * noteCount + 6.5);
+}
+
+/**
+ * Checks parsed chart data for authoring problems.
+ * On desktop, fileRef (the chart path) also checks that referenced audio and images resolve.
+ * @returns {Promise<Array<{level: string, measure: number, message: string}>>}
+ */
+async function lintChart(data, fileRef) {
+    const issues = (data.warnings || []).slice();
+    const measureTimes = data.measureTimes || [];
+    const measureAt = (t) => {
+        let lo = 0, hi = measureTimes.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (measureTimes[mid] <= t) lo = mid; else hi = mid - 1;
+        }
+        return Math.max(0, lo);
+    };
+    const chName = (ch) => ch.toString(16).toUpperCase();
+
+    // Object IDs without a definition
+    const usedWavs = new Set();
+    const reportedWavs = new Set();
+    const checkWav = (id, time) => {
+        if (!id || id === '00') return;
+        if (data.headers['WAV' + id] !== undefined) {
+            usedWavs.add(data.headers['WAV' + id]);
+        } else if (!reportedWavs.has(id)) {
+            reportedWavs.add(id);
+            issues.push({ level: 'error', measure: measureAt(time), message: `#WAV${id} is used but not defined` });
+        }
+    };
+    data.notes.forEach(n => {
+        checkWav(n.id, n.time);
+        if (n.endId) checkWav(n.endId, n.endTime);
+    });
+    data.invisibleNotes.forEach(n => checkWav(n.id, n.time));
+    data.bgm.forEach(b => checkWav(b.id, b.time));
+
+    const usedImages = new Set();
+    const reportedBmps = new Set();
+    data.bgaEvents.forEach(e => {
+        if (data.headers['BMP' + e.id] !== undefined) {
+            usedImages.add(data.headers['BMP' + e.id]);
+        } else if (!reportedBmps.has(e.id)) {
+            reportedBmps.add(e.id);
+            issues.push({ level: 'warning', measure: measureAt(e.time), message: `#BMP${e.id} is used but not defined` });
+        }
+    });
+
+    // Overlapping notes and notes inside a hold, per lane (LN channels share the lane of 1x/2x)
+    const lanes = {};
+    data.notes.forEach(n => {
+        const lane = (n.ch >= 0x51 && n.ch <= 0x69) ? n.ch - 0x40 : n.ch;
+        (lanes[lane] = lanes[lane] || []).push(n);
+    });
+    for (const lane in lanes) {
+        let prev = null;
+        let holdEnd = -Infinity;
+        lanes[lane].forEach(n => {
+            if (prev && Math.abs(n.time - prev.time) < 1) {
+                issues.push({ level: 'error', measure: measureAt(n.time), message: `Overlapping notes on channel ${chName(n.ch)}` });
+            } else if (n.time <= holdEnd) {
+                issues.push({ level: 'error', measure: measureAt(n.time), message: `Note inside a long note on channel ${chName(n.ch)}` });
+            }
+            if (n.endTime !== undefined) holdEnd = Math.max(holdEnd, n.endTime);
+            prev = n;
+        });
+    }
+
+    // #TOTAL: missing, or far from what the note count suggests
+    if (data.headers['TOTAL'] === undefined) {
+        issues.push({ level: 'warning', measure: 0, message: '#TOTAL is not set (260 is used)' });
+    } else if (data.noteCount > 0) {
+        const recommended = recommendedTotal(data.noteCount);
+        if (data.total < recommended / 2 || data.total > recommended * 2) {
+            issues.push({ level: 'warning', measure: 0, message: `#TOTAL ${data.total} is far from ${Math.round(recommended)} recommended for ${data.noteCount} notes` });
+        }
+    }
+
+    // Referenced files that will not load
+    if (IS_DESKTOP && typeof fileRef === 'string') {
+        ['STAGEFILE', 'BANNER', 'BACKBMP'].forEach(k => {
+            if (data.headers[k]) usedImages.add(data.headers[k]);
+        });
+        const missing = await window.electronAPI.checkChartFiles(fileRef, [...usedWavs], [...usedImages]);
+        missing.missingAudio.forEach(f => issues.push({ level: 'error', measure: 0, message: `Missing audio file: ${f}` }));
+        missing.missingImages.forEach(f => issues.push({ level: 'warning', measure: 0, message: `Missing image file: ${f}` }));
+    }
+
+    // Errors first, then by measure
+    return issues.sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1) || a.measure - b.measure);
+}
+
+/**
+ * lintChart with a per-session cache keyed by the chart's md5.
+ */
+async function getChartLint(data, chart) {
+    if (chart.md5 && _lintCache[chart.md5]) return _lintCache[chart.md5];
+    const issues = await lintChart(data, chart.fileRef);
+    if (chart.md5) _lintCache[chart.md5] = issues;
+    return issues;
+}
+
+function escapeLintText(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function renderLintIssues(issues) {
+    if (issues.length === 0) return '<div class="lint-empty">No problems found</div>';
+    return issues.map(i => `
+        <div class="lint-issue lint-${i.level}">
+            <span class="lint-measure">#${String(i.measure).padStart(3, '0')}</span>
+            <span class="lint-message">${escapeLintText(i.message)}</span>
+        </div>`).join('');
+}
+
+/**
+ * Non-blocking notice in the modal style (calibration results, refused replays, etc.).
+ */
+function showMessage(title, text) {
+    document.getElementById('message-title').textContent = title;
+    document.getElementById('message-text').textContent = text;
+    document.getElementById('modal-message').classList.add('open');
+}
+
+function openLintModal(title, html) {
+    document.getElementById('lint-title').textContent = title;
+    document.getElementById('lint-list').innerHTML = html;
+    document.getElementById('modal-lint').classList.add('open');
+}
+
+/**
+ * Adds a warnings marker to the info card once the selected chart has been checked.
+ */
+async function showChartLint(data, chart) {
+    const issues = await getChartLint(data, chart);
+    const current = STATE.currentList[STATE.selectedIndex];
+    if (!current || current.type !== 'chart' || current.data !== chart || issues.length === 0) return;
+
+    const errors = issues.filter(i => i.level === 'error').length;
+    const marker = document.createElement('span');
+    marker.className = errors > 0 ? 'marker marker-lint has-errors' : 'marker marker-lint';
+    marker.textContent = errors > 0 ? `${errors} ERR` : `${issues.length} WARN`;
+    marker.title = 'Show chart warnings';
+    marker.onclick = () => openLintModal(chart.title || 'Chart Warnings', renderLintIssues(issues));
+    ui.songMarkers.appendChild(marker);
+}
+
+// The library report parses in its own worker, so it never aborts (or is aborted by)
+// song select parses, and its results are not written to songs.db
+let _lintWorker = null;
+let _lintParseId = 0;
+let _libraryLintRunning = false;
+let _libraryLintCancelled = false;
+
+function parseChartForLint(text) {
+    if (!_lintWorker) _lintWorker = new Worker(workerUrl);
+    const id = ++_lintParseId;
+    return new Promise((resolve, reject) => {
+        const handler = (e) => {
+            if (e.data.id !== id) return;
+            _lintWorker.removeEventListener('message', handler);
+            if (e.data.success) resolve(e.data.data);
+            else reject(new Error(e.data.error));
+        };
+        _lintWorker.addEventListener('message', handler);
+        _lintWorker.postMessage({ id, text, options: { seed: METADATA_RANDOM_SEED } });
     });
 }
 
+/**
+ * Checks every chart in the library and lists the ones with errors. Can be cancelled;
+ * the charts checked so far are still reported.
+ */
+async function runLibraryLint() {
+    if (_libraryLintRunning) return;
+    _libraryLintRunning = true;
+    _libraryLintCancelled = false;
+    const cancelBtn = document.getElementById('btn-cancel-lint');
+    cancelBtn.style.display = 'inline-block';
+
+    const charts = STATE.charts.slice();
+    const failed = [];
+    let checked = 0;
+
+    progressSection.style.display = 'block';
+    for (let i = 0; i < charts.length && !_libraryLintCancelled; i++) {
+        const c = charts[i];
+        progressBarFill.style.width = `${(i + 1) / charts.length * 100}%`;
+        progressStatus.textContent = `Checking ${i + 1}/${charts.length}: ${c.title || ''}`;
+        try {
+            let data;
+            if (c.md5 && _metadataCache[c.md5] && _metadataCache[c.md5].cacheVersion === METADATA_CACHE_VERSION) {
+                data = _metadataCache[c.md5];
+            } else {
+                const text = c.raw || await dataLayer.readFile(c.fileRef, c.encoding);
+                data = await parseChartForLint(text);
+            }
+            const errors = (await getChartLint(data, c)).filter(x => x.level === 'error');
+            if (errors.length > 0) failed.push({ chart: c, errors });
+        } catch (e) {
+            failed.push({ chart: c, errors: [{ level: 'error', measure: 0, message: `Could not parse: ${e.message}` }] });
+        }
+        checked++;
+    }
+    _libraryLintRunning = false;
+    cancelBtn.style.display = 'none';
+    progressStatus.textContent = `Checked ${checked} charts: ${failed.length} with errors`;
+    setTimeout(() => {
+        progressSection.style.display = 'none';
+    }, 1500);
+
+    let html = failed.length === 0 ? '<div class="lint-empty">No charts with errors</div>' : failed.map(f => `
+        <div class="lint-chart">
+            <div class="lint-chart-title">${escapeLintText(f.chart.title || 'Unknown')}</div>
+            <div class="lint-chart-path">${escapeLintText(typeof f.chart.fileRef === 'string' ? f.chart.fileRef : '')}</div>
+            ${renderLintIssues(f.errors)}
+        </div>`).join('');
+    if (checked < charts.length) html += `<div class="lint-empty">Cancelled: ${charts.length - checked} chart(s) not checked</div>`;
+    openLintModal(`Chart Report (${failed.length}/${checked} with errors)`, html);
+}
+
 // ----------------------------------------------------------------------------
 // UI & LOGIC
 // ----------------------------------------------------------------------------
@@ -1960,6 +2480,7 @@ const ui = {
     statNpsAvg: document.getElementById('stat-nps-avg'),
     statNpsMax: document.getElementById('stat-nps-max'),
     statRank: document.getElementById('stat-rank'),
+    densityGraph: document.getElementById('density-graph'),
     songMarkers: document.getElementById('song-markers'),
     btnStart: document.getElementById('btn-start'),
 
@@ -2111,8 +2632,28 @@ document.getElementById('btn-autoplay').onclick = () => {
 document.getElementById('btn-replay').onclick = () => {
     if (!STATE.loadedSong) return;
     playSystemSound('scratch');
-    // Re-load current chart & enter
-    enterGame();
+    // Play back the saved replay of the current chart
+    startReplay();
+};
+
+document.getElementById('btn-practice').onclick = () => {
+    if (!STATE.loadedSong) return;
+    playSystemSound('o-open');
+    openPracticeModal();
+};
+document.getElementById('btn-practice-cancel').onclick = () => {
+    playSystemSound('o-close');
+    closePracticeModal();
+};
+document.getElementById('btn-practice-start').onclick = () => {
+    playSystemSound('o-close');
+    startPractice();
+};
+
+document.getElementById('btn-export-replay').onclick = () => {
+    if (!STATE.currentFileRef || !STATE.selectedReplaySlot) return;
+    playSystemSound('o-change');
+    exportReplay(STATE.currentFileRef, STATE.selectedReplaySlot);
 };
 
 // Button Handlers
@@ -2122,14 +2663,31 @@ document.getElementById('btn-settings').onclick = () => {
     renderConfig(); // Renders keybindings
     ui.modalSettings.classList.add('open');
 };
+document.getElementById('opt-latency-hint').onchange = updateLatencyHintNote;
 document.getElementById('btn-save-settings').onclick = () => {
     playSystemSound('o-close');
     ui.modalSettings.classList.remove('open');
     STATE.fullscreen = document.getElementById('opt-fullscreen').checked;
     STATE.resolution = document.getElementById('opt-resolution').value;
     STATE.showTally = document.getElementById('opt-show-tally').checked;
-    STATE.replaySaveType = document.getElementById('opt-replay-type').value;
+    STATE.replaySlots = REPLAY_SLOTS.map(slot => slot.id).filter(id => {
+        const el = document.getElementById(`opt-replay-slot-${id}`);
+        return el && el.checked;
+    });
     STATE.frameLimit = document.getElementById('opt-frame-limit').value;
+    STATE.maxPolyphony = parseInt(document.getElementById('opt-max-polyphony').value) || DEFAULT_POLYPHONY;
+    STATE.audioCacheMB = parseInt(document.getElementById('opt-audio-cache').value) || 0;
+    trimAudioCache();
+    STATE.loudnessNormalize = document.getElementById('opt-loudness-normalize').checked;
+    STATE.latencyCompensation = document.getElementById('opt-latency-compensation').checked;
+    localStorage.setItem(AUDIO_LATENCY_HINT_KEY, document.getElementById('opt-latency-hint').value);
+    const audioDevice = document.getElementById('opt-audio-device').value;
+    if (audioDevice !== (STATE.audioOutputDevice || '')) {
+        STATE.audioOutputDevice = audioDevice;
+        applyAudioOutputDevice();
+    }
+    STATE.judgeOffset = Math.max(-99, Math.min(99, parseInt(document.getElementById('opt-judge-offset').value) || 0));
+    STATE.visualOffset = Math.max(-500, Math.min(500, parseInt(document.getElementById('opt-visual-offset').value) || 0));
 
     const greenFixChecked = document.getElementById('opt-green-fix').checked;
     if (!greenFixChecked) {
@@ -2146,6 +2704,12 @@ document.getElementById('btn-save-settings').onclick = () => {
     updateGreenWhiteNumbers();
 };
 
+document.getElementById('btn-calibrate').onclick = () => {
+    playSystemSound('o-close');
+    ui.modalSettings.classList.remove('open');
+    startCalibration();
+};
+
 // Manual Course Import
 document.getElementById('btn-import-course').onclick = async () => {
     const paths = await window.electronAPI.openCourseDialog();
@@ -2259,6 +2823,23 @@ document.getElementById('btn-rescan-all').onclick = async () => {
     await rescanAllFolders();
 };
 
+document.getElementById('btn-lint-library').onclick = async () => {
+    await runLibraryLint();
+};
+
+document.getElementById('btn-cancel-lint').onclick = () => {
+    _libraryLintCancelled = true;
+};
+
+document.getElementById('btn-close-lint').onclick = () => {
+    document.getElementById('modal-lint').classList.remove('open');
+};
+
+document.getElementById('btn-close-message').onclick = () => {
+    playSystemSound('o-close');
+    document.getElementById('modal-message').classList.remove('open');
+};
+
 document.getElementById('btn-close-folders').onclick = () => {
     playSystemSound('o-close');
     document.getElementById('modal-folders').classList.remove('open');
@@ -2296,11 +2877,24 @@ document.getElementById('file-picker').addEventListener('change', async (e) => {
     const list = Array.from(e.target.files);
     for (let f of list) dataLayer.webFiles[f.name.toLowerCase()] = f;
 
-    const bmsFiles = list.filter(f => f.name.match(/\.(bms|bme|bml|pms)$/i));
+    const bmsFiles = list.filter(f => f.name.match(/\.(bms|bme|bml|pms|bmson)$/i));
 
     for (let f of bmsFiles) {
         try {
             const txt = await dataLayer.readFile(f);
+            if (/\.bmson$/i.test(f.name)) {
+                const info = JSON.parse(txt).info || {};
+                STATE.charts.push({
+                    fileRef: f,
+                    title: info.title || 'Unknown',
+                    artist: info.artist || 'Unknown',
+                    level: parseInt(info.level) || 0,
+                    difficulty: 0,
+                    keyMode: BmsonUtils.bmsonKeyMode(info),
+                    raw: txt
+                });
+                continue;
+            }
             const titleMatch = txt.match(/#TITLE\s+(.+)/i);
             const artistMatch = txt.match(/#ARTIST\s+(.+)/i);
             const levelMatch = txt.match(/#PLAYLEVEL\s+(\d+)/i);
@@ -2342,10 +2936,7 @@ function triggerDecideScreen(isAutoplay) {
         STATE.isDecideActive = true;
 
         // Stop select loop
-        if (STATE.selectBgmSource) {
-            try { STATE.selectBgmSource.stop(); } catch (e) { }
-            STATE.selectBgmSource = null;
-        }
+        stopSelectBgm();
 
         playSystemSound('decide');
 
@@ -2458,6 +3049,7 @@ function loadLibraryFromDesktop(data) {
         difficulty: s.difficulty || 0,
         keyMode: s.keyMode || '7',
         md5: s.md5, // New
+        encoding: s.encoding, // Detected at scan time
         fileRef: s.path,
         rootDir: s.rootDir,
         raw: null
@@ -3130,7 +3722,51 @@ function updateSelection() {
     }
 }
 
+/**
+ * Lists the chart's saved replay slots in the info card; the selected one feeds REPLAY / EXPORT.
+ */
+function renderReplaySlots(fileRef) {
+    const saved = getReplays(fileRef);
+    const available = REPLAY_SLOTS.filter(slot => saved[slot.id]);
+    if (!available.some(slot => slot.id === STATE.selectedReplaySlot)) {
+        STATE.selectedReplaySlot = available.length > 0 ? available[0].id : null;
+    }
+
+    const list = document.getElementById('replay-slots');
+    if (list) {
+        list.innerHTML = '';
+        available.forEach(slot => {
+            const replay = saved[slot.id];
+            const lamp = Object.values(LAMPS).find(l => l.id === replay.lampId) || LAMPS.NO_PLAY;
+            const row = document.createElement('div');
+            row.className = 'replay-slot' + (slot.id === STATE.selectedReplaySlot ? ' selected' : '');
+            row.innerHTML = `<span class="replay-slot-name">${slot.name}</span>
+                <span>EX ${replay.score} / BP ${replay.bp} / ${lamp.name}</span>`;
+            row.onclick = () => {
+                STATE.selectedReplaySlot = slot.id;
+                playSystemSound('o-change');
+                renderReplaySlots(fileRef);
+            };
+            list.appendChild(row);
+        });
+    }
+
+    const hasReplay = !!STATE.selectedReplaySlot;
+    ['btn-replay', 'btn-export-replay'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.disabled = !hasReplay;
+        btn.style.opacity = hasReplay ? '1' : '0.5';
+    });
+    const btnReplay = document.getElementById('btn-replay');
+    if (btnReplay) {
+        const replayData = hasReplay ? saved[STATE.selectedReplaySlot] : null;
+        btnReplay.title = replayData ? `Replay: ${replayData.score} (${replayData.isFC ? 'FC' : 'Clear'})` : 'No Replay Data';
+    }
+}
+
 async function updateInfoCard(item) {
+    if (item.type !== 'chart') stopSongPreview();
     if (item.type === 'chart') {
         const chart = item.data;
         loadChart(STATE.charts.indexOf(chart), item.el, true); // true = focus only
@@ -3476,6 +4112,88 @@ function closeOptions() {
     }
 }
 
+// Lane order for the distribution bars: P1 scratch side first, P2 scratch last
+const DENSITY_LANE_ORDER = [0x16, 0x11, 0x12, 0x13, 0x14, 0x15, 0x18, 0x19, 0x21, 0x22, 0x23, 0x24, 0x25, 0x28, 0x29, 0x26];
+const DENSITY_COLORS = { scratch: '#f44', keys: '#4af', ln: '#4f4', bpm: '#ff0', lane: '#aaa' };
+
+/**
+ * Draws the note distribution on the info card: stacked per-second bars (scratch/keys/LN)
+ * with the BPM timeline on top, and notes per lane on the right.
+ */
+function drawDensityGraph(data) {
+    const canvas = ui.densityGraph;
+    if (!data.density) {
+        canvas.style.display = 'none';
+        return;
+    }
+    canvas.style.display = 'block';
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const lanes = Object.keys(data.laneCounts || {}).map(Number).sort((a, b) => {
+        const ia = DENSITY_LANE_ORDER.indexOf(a), ib = DENSITY_LANE_ORDER.indexOf(b);
+        return (ia < 0 ? 99 : ia) - (ib < 0 ? 99 : ib);
+    });
+    const laneW = lanes.length > 0 ? Math.min(80, lanes.length * 6) : 0;
+    const graphW = width - (laneW > 0 ? laneW + 8 : 0);
+    const pad = 4;
+    const graphH = height - pad * 2;
+
+    // Histogram
+    const { scratch, keys, ln } = data.density;
+    const seconds = keys.length;
+    let peak = 1;
+    for (let i = 0; i < seconds; i++) peak = Math.max(peak, scratch[i] + keys[i] + ln[i]);
+    const barW = graphW / seconds;
+    for (let i = 0; i < seconds; i++) {
+        let y = height - pad;
+        [['scratch', scratch[i]], ['keys', keys[i]], ['ln', ln[i]]].forEach(([kind, count]) => {
+            if (count === 0) return;
+            const h = count / peak * graphH;
+            ctx.fillStyle = DENSITY_COLORS[kind];
+            ctx.fillRect(i * barW, y - h, Math.max(1, barW - 0.5), h);
+            y -= h;
+        });
+    }
+
+    // BPM timeline (step line scaled between min and max BPM)
+    const timeline = data.bpmTimeline || [];
+    if (timeline.length > 1 && data.songDuration > 0) {
+        const min = Math.min(...timeline.map(e => e.bpm));
+        const max = Math.max(...timeline.map(e => e.bpm));
+        const bpmY = (bpm) => max === min ? height / 2 : pad + (1 - (bpm - min) / (max - min)) * graphH;
+        const timeX = (t) => Math.min(graphW, t / data.songDuration * graphW);
+        ctx.strokeStyle = DENSITY_COLORS.bpm;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, bpmY(timeline[0].bpm));
+        for (let i = 1; i < timeline.length; i++) {
+            ctx.lineTo(timeX(timeline[i].time), bpmY(timeline[i - 1].bpm));
+            ctx.lineTo(timeX(timeline[i].time), bpmY(timeline[i].bpm));
+        }
+        ctx.lineTo(graphW, bpmY(timeline[timeline.length - 1].bpm));
+        ctx.stroke();
+    }
+
+    // Lane distribution
+    if (laneW > 0) {
+        const laneMax = Math.max(...lanes.map(l => data.laneCounts[l]));
+        const slotW = laneW / lanes.length;
+        lanes.forEach((lane, i) => {
+            const h = data.laneCounts[lane] / laneMax * graphH;
+            ctx.fillStyle = (lane === 0x16 || lane === 0x26) ? DENSITY_COLORS.scratch : DENSITY_COLORS.lane;
+            ctx.fillRect(width - laneW + i * slotW, height - pad - h, Math.max(1, slotW - 1), h);
+        });
+    }
+}
+
 async function loadChart(idx, el, focusOnly = false) {
     if (el) {
         document.querySelectorAll('.song-card').forEach(e => e.classList.remove('active'));
@@ -3487,7 +4205,7 @@ async function loadChart(idx, el, focusOnly = false) {
     if (!bmsText) {
         // Show loading indicator locally if not from desktop scan
         if (!IS_DESKTOP) ui.loadingStatus.textContent = "Reading file...";
-        bmsText = await dataLayer.readFile(c.fileRef);
+        bmsText = await dataLayer.readFile(c.fileRef, c.encoding);
         c.raw = bmsText;
 
         // [FIX] Staleness check after async file read
@@ -3520,11 +4238,12 @@ async function loadChart(idx, el, focusOnly = false) {
 
     try {
         let data;
-        if (c.md5 && _metadataCache[c.md5]) {
+        if (c.md5 && _metadataCache[c.md5] && _metadataCache[c.md5].cacheVersion === METADATA_CACHE_VERSION) {
             data = _metadataCache[c.md5];
         } else {
-            data = await parseChartAsync(bmsText); // Worker call
+            data = await parseChartAsync(bmsText, { seed: METADATA_RANDOM_SEED }); // Worker call
             if (data && c.md5) {
+                data.cacheVersion = METADATA_CACHE_VERSION;
                 _metadataCache[c.md5] = data;
                 saveMetadataCacheThrottled();
             }
@@ -3538,6 +4257,7 @@ async function loadChart(idx, el, focusOnly = false) {
             // console.log("Discarding stale chart load:", c.title, "Expected:", currentItem?.data?.title);
             return;
         }
+        scheduleSongPreview(c, data);
 
         STATE.baseSongData = data; // Immutable source
         // Propagate detected keyMode from library to base data
@@ -3559,6 +4279,7 @@ async function loadChart(idx, el, focusOnly = false) {
 
         STATE.currentFileRef = c.fileRef;
         STATE.replayFileRef = c.fileRef;
+        STATE.currentChartText = bmsText; // Kept for re-rolling #RANDOM branches on play
 
         ui.titleMain.textContent = c.title;
         ui.subtitle.textContent = data.headers['SUBTITLE'] || '';
@@ -3628,21 +4349,27 @@ async function loadChart(idx, el, focusOnly = false) {
 
         ui.diffDisplay.style.display = 'flex';
 
-        const rankName = ["VERY HARD", "HARD", "NORMAL", "EASY"][data.rank] || "EASY";
+        // Effective judge: #DEFEXRANK shows its percentage next to the closest rank
+        let rankName = RANK_NAMES[data.rank] || 'EASY';
+        if (data.headers['DEFEXRANK']) rankName += ` (${Math.round(parseFloat(data.headers['DEFEXRANK']))}%)`;
+        if (data.judgeRankEvents && data.judgeRankEvents.length > 0) rankName += ' *';
         const bpms = data.bpmEvents.map(e => e.bpm);
         bpms.push(data.initialBpm);
         const minBpm = Math.min(...bpms);
         const maxBpm = Math.max(...bpms);
         ui.statBpm.textContent = minBpm === maxBpm ? Math.round(minBpm) : `${Math.round(minBpm)} - ${Math.round(maxBpm)}`;
         ui.statNotes.textContent = data.noteCount;
+        ui.statNpsStart.textContent = data.startNps.toFixed(1);
         ui.statNpsAvg.textContent = data.avgNps.toFixed(1);
         ui.statNpsMax.textContent = data.maxNps;
         ui.statRank.textContent = rankName;
         ui.songStats.style.display = 'grid';
+        drawDensityGraph(data);
 
         ui.songMarkers.innerHTML = '';
-        if (data.headers['LNTYPE'] || data.headers['LNOBJ']) ui.songMarkers.innerHTML += '<span class="marker marker-ln">LN</span>';
-        if (data.headers['RANDOM']) ui.songMarkers.innerHTML += '<span class="marker marker-ran">RAN</span>';
+        if (data.maxLnDuration > 0) ui.songMarkers.innerHTML += '<span class="marker marker-ln">LN</span>';
+        if (data.randomBranches && data.randomBranches.length > 0) ui.songMarkers.innerHTML += '<span class="marker marker-ran" title="#RANDOM chart: stats show one possible branch roll">RAN</span>';
+        showChartLint(data, c);
 
         if (IS_DESKTOP) {
             const stagefileUrl = await window.electronAPI.resolveImage(STATE.currentFileRef, data.headers['STAGEFILE']);
@@ -3671,14 +4398,9 @@ async function loadChart(idx, el, focusOnly = false) {
 
         ui.btnStart.disabled = false;
 
-        // Replay Button Logic
-        const replayData = getReplay(c.fileRef);
-        const btnReplay = document.getElementById('btn-replay');
-        if (btnReplay) {
-            btnReplay.disabled = !replayData;
-            btnReplay.style.opacity = replayData ? '1' : '0.5';
-            btnReplay.title = replayData ? `Replay: ${replayData.score} (${replayData.isFC ? 'FC' : 'Clear'})` : 'No Replay Data';
-        }
+        // Replay Slots & Buttons
+        await loadReplays(c.fileRef);
+        if (STATE.currentFileRef === c.fileRef) renderReplaySlots(c.fileRef);
 
         if (!focusOnly) {
             await loadAudioResources(data);
@@ -3692,6 +4414,62 @@ async function loadChart(idx, el, focusOnly = false) {
     }
 }
 
+// ----------------------------------------------------------------------------
+// DECODED AUDIO CACHE
+// ----------------------------------------------------------------------------
+// Keysounds stay decoded between plays so a retry or the next course stage starts without
+// re-reading them. Entries are evicted least recently used first once over the memory budget.
+const AUDIO_LOAD_CONCURRENCY = 12; // Files read/decoded at once while loading a chart
+const DEFAULT_AUDIO_CACHE_MB = 256;
+const DEFAULT_POLYPHONY = 128; // Keysound voices before the oldest is stolen (Settings > Audio)
+const _audioCache = new Map(); // key -> { buffer, bytes } (least recently used first)
+let _audioCacheBytes = 0;
+
+/**
+ * Cache key for a chart's #WAV filename: the chart folder plus the name as written.
+ * Web has no folders, so the picked File's identity stands in (a later pick may reuse the name).
+ */
+function audioCacheKey(fileRef, filename) {
+    const name = filename.toLowerCase();
+    if (typeof fileRef === 'string') return `${fileRef.replace(/[\\/][^\\/]*$/, '')}|${name}`;
+    const f = dataLayer.webFiles[name];
+    return f ? `web|${name}|${f.size}|${f.lastModified}` : `web|${name}`;
+}
+
+function audioCacheBudget() {
+    const mb = STATE.audioCacheMB !== undefined ? STATE.audioCacheMB : DEFAULT_AUDIO_CACHE_MB;
+    return mb * 1024 * 1024;
+}
+
+function getCachedAudio(key) {
+    const entry = _audioCache.get(key);
+    if (!entry) return null;
+    // Re-insert to mark as most recently used
+    _audioCache.delete(key);
+    _audioCache.set(key, entry);
+    return entry.buffer;
+}
+
+function putCachedAudio(key, buffer) {
+    const bytes = buffer.length * buffer.numberOfChannels * 4; // Float32 samples
+    if (_audioCache.has(key) || bytes > audioCacheBudget()) return;
+    _audioCache.set(key, { buffer, bytes });
+    _audioCacheBytes += bytes;
+    trimAudioCache();
+}
+
+/**
+ * Evicts least recently used buffers until the cache fits the budget.
+ */
+function trimAudioCache() {
+    const budget = audioCacheBudget();
+    for (const [key, entry] of _audioCache) {
+        if (_audioCacheBytes <= budget) break;
+        _audioCache.delete(key);
+        _audioCacheBytes -= entry.bytes;
+    }
+}
+
 async function loadAudioResources(data) {
     STATE.audioBuffers = {};
     STATE.bgaDefinitions = {};
@@ -3717,13 +4495,15 @@ async function loadAudioResources(data) {
 
     try {
         // Collect Audio & BGA Files
+        // #BASE 62 IDs are case-sensitive, base 36 IDs match in upper case
+        const toId = (s) => data.base === 62 ? s : s.toUpperCase();
         const loadingTasks = [];
         for (let k in data.headers) {
             if (k.startsWith('WAV')) {
-                loadingTasks.push({ type: 'audio', key: k, id: k.substring(3).toUpperCase(), filename: data.headers[k] });
+                loadingTasks.push({ type: 'audio', key: k, id: toId(k.substring(3)), filename: data.headers[k] });
             }
             if (k.startsWith('BMP')) {
-                let id = k.substring(3).toUpperCase();
+                let id = toId(k.substring(3));
                 // Normalize to 2-chars if 1-char (e.g., #BMP1 -> id 01)
                 if (id.length === 1) id = '0' + id;
                 loadingTasks.push({ type: 'bga', key: k, id: id, filename: data.headers[k] });
@@ -3739,69 +4519,86 @@ async function loadAudioResources(data) {
         else ui.loadingStatus.textContent = statusPrefix;
 
         console.log(`DEBUG: Loading tasks: ${totalTasks}`);
-        const CHUNK_SIZE = 12;
-        for (let i = 0; i < totalTasks; i += CHUNK_SIZE) {
-            // Check cancellation
-            if (STATE.isLoadingCancelled) {
-                throw new Error("CANCELLED");
-            }
+        const loadTask = (task) => {
+            if (task.type === 'audio') {
+                // Decoded buffers are shared across plays (retry, course stages)
+                const cacheKey = audioCacheKey(STATE.currentFileRef, task.filename);
+                const cached = getCachedAudio(cacheKey);
+                if (cached) {
+                    STATE.audioBuffers[task.id] = cached;
+                    return Promise.resolve();
+                }
 
-            const chunk = loadingTasks.slice(i, i + CHUNK_SIZE);
-            await Promise.all(chunk.map(task => {
-                if (task.type === 'audio') {
-                    let filePromise;
-                    if (IS_DESKTOP) {
-                        filePromise = window.electronAPI.resolvePath(STATE.currentFileRef, task.filename).then(ref => {
-                            if (ref) return dataLayer.readAudio(ref);
-                            return null;
-                        });
-                    } else {
-                        const f = dataLayer.webFiles[task.filename.toLowerCase()];
-                        if (f) filePromise = dataLayer.readAudio(f);
-                        else filePromise = Promise.resolve(null);
-                    }
+                let filePromise;
+                if (IS_DESKTOP) {
+                    filePromise = window.electronAPI.resolvePath(STATE.currentFileRef, task.filename).then(ref => {
+                        if (ref) return dataLayer.readAudio(ref);
+                        return null;
+                    });
+                } else {
+                    const f = dataLayer.webFiles[task.filename.toLowerCase()];
+                    if (f) filePromise = dataLayer.readAudio(f);
+                    else filePromise = Promise.resolve(null);
+                }
 
-                    return filePromise.then(ab => {
-                        if (ab) STATE.audioBuffers[task.id] = ab;
-                    }).catch(e => console.warn(`Audio ${task.id} error:`, e.message));
+                return filePromise.then(ab => {
+                    if (ab) {
+                        STATE.audioBuffers[task.id] = ab;
+                        putCachedAudio(cacheKey, ab);
+                    }
+                }).catch(e => console.warn(`Audio ${task.id} error:`, e.message));
+            } else {
+                // BGA Task
+                if (IS_DESKTOP) {
+                    return window.electronAPI.resolveImage(STATE.currentFileRef, task.filename).then(url => {
+                        if (url) STATE.bgaDefinitions[task.id] = {
+                            url,
+                            isVideo: /\.(mp4|webm|avi|wmv|mpg|mpeg|m4v)$/i.test(task.filename),
+                            filename: task.filename
+                        };
+                    }).catch(e => console.warn(`BGA ${task.id} error:`, e.message));
                 } else {
-                    // BGA Task
-                    if (IS_DESKTOP) {
-                        return window.electronAPI.resolveImage(STATE.currentFileRef, task.filename).then(url => {
-                            if (url) STATE.bgaDefinitions[task.id] = {
-                                url,
-                                isVideo: /\.(mp4|webm|avi|wmv|mpg|mpeg|m4v)$/i.test(task.filename),
-                                filename: task.filename
-                            };
-                        }).catch(e => console.warn(`BGA ${task.id} error:`, e.message));
-                    } else {
-                        const filename = task.filename.toLowerCase();
-                        const file = dataLayer.webFiles[filename];
-                        if (file) {
-                            const url = URL.createObjectURL(file);
-                            STATE.bgaDefinitions[task.id] = { url, isVideo: /\.(mp4|webm|avi|wmv|mpg|mpeg|m4v)$/i.test(filename) };
-                        }
-                        return Promise.resolve();
+                    const filename = task.filename.toLowerCase();
+                    const file = dataLayer.webFiles[filename];
+                    if (file) {
+                        const url = URL.createObjectURL(file);
+                        STATE.bgaDefinitions[task.id] = { url, isVideo: /\.(mp4|webm|avi|wmv|mpg|mpeg|m4v)$/i.test(filename) };
                     }
+                    return Promise.resolve();
                 }
-            }));
+            }
+        };
 
-            // Update Progress
-            const progress = Math.min(100, Math.floor(((i + CHUNK_SIZE) / totalTasks) * 100));
+        let done = 0;
+        const updateProgress = () => {
+            const progress = Math.min(100, Math.floor((done / totalTasks) * 100));
 
             if (isGameplay) {
                 ui.loadingStatus.textContent = statusPrefix + progress + '%';
                 // Hint for cancellation
                 ui.loadingStatus.innerHTML += '<br><span style="font-size:10px; color:#666;">PRESS ESC TO CANCEL</span>';
             } else {
-                const uiProgress = Math.min(100, 20 + ((i + CHUNK_SIZE) / totalTasks * 80));
+                const uiProgress = Math.min(100, 20 + (done / totalTasks * 80));
                 ui.loadingBar.style.width = `${uiProgress}%`;
-                ui.loadingStatus.textContent = `Loading Resources (${Math.min(i + CHUNK_SIZE, totalTasks)}/${totalTasks})...`;
+                ui.loadingStatus.textContent = `Loading Resources (${done}/${totalTasks})...`;
             }
+        };
 
-            // Small yield to UI
-            await new Promise(r => setTimeout(r, 0));
-        }
+        // A fixed number of loaders pull from the task list, so decodes overlap
+        // and progress moves with every finished file
+        let nextTask = 0;
+        const runLoader = async () => {
+            while (nextTask < totalTasks) {
+                // Check cancellation
+                if (STATE.isLoadingCancelled) {
+                    throw new Error("CANCELLED");
+                }
+                await loadTask(loadingTasks[nextTask++]);
+                done++;
+                updateProgress();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(AUDIO_LOAD_CONCURRENCY, totalTasks) }, runLoader));
         console.log("DEBUG: Resource load finished");
 
         // Done
@@ -3871,6 +4668,25 @@ async function enterGame() {
         STATE.loadedSong = structuredClone(STATE.baseSongData);
     }
 
+    // Replays rebuild the recorded #RANDOM branches and lane shuffle
+    const replayRandom = STATE.isReplay ? STATE.replay.random : null;
+
+    // [RANDOM] Charts with #RANDOM/#SWITCH get a fresh branch roll per play (or a forced one for replays)
+    if (STATE.baseSongData && STATE.baseSongData.randomBranches && STATE.baseSongData.randomBranches.length > 0 && STATE.currentChartText) {
+        try {
+            const forced = replayRandom ? { seed: replayRandom.chartSeed, randomValues: replayRandom.branches || undefined } : STATE.forcedRandom;
+            const rolled = await parseChartAsync(STATE.currentChartText, forced || {});
+            if (rolled) {
+                rolled.keyMode = STATE.baseSongData.keyMode;
+                rolled.md5 = STATE.loadedSong.md5;
+                STATE.loadedSong = rolled;
+            }
+        } catch (e) {
+            console.warn('[RANDOM] Re-roll failed, using cached branches:', e);
+        }
+        STATE.forcedRandom = null;
+    }
+
     // Ensure AudioContext is running
     if (audioCtx.state === 'suspended') {
         await audioCtx.resume();
@@ -3886,6 +4702,10 @@ async function enterGame() {
     // Load Resources - This now happens AFTER select screen is gone
     try {
         await loadAudioResources(STATE.loadedSong);
+        if (STATE.isCalibrating) STATE.audioBuffers['01'] = createMetronomeClick();
+        STATE.loudnessGain = STATE.isCalibrating ? 1 : await getChartLoudnessGain(STATE.loadedSong);
+        const p = STATE.practice;
+        STATE.practiceBuffers = (p && p.pitch === 'PRESERVE' && p.rate !== 1) ? await stretchPracticeBuffers(STATE.loadedSong, p) : null;
     } catch (e) {
         if (e.message === "CANCELLED") {
             console.log("Game Start Cancelled by User");
@@ -3924,6 +4744,8 @@ async function enterGame() {
     STATE.isPlaying = true;
     STATE.isStarting = false; // [FIX] Reset starting flag only after playing state is set
     STATE.isResults = false;
+    STATE.playbackRate = STATE.practice ? STATE.practice.rate : 1;
+    STATE.outputLatencyMs = STATE.latencyCompensation ? getOutputLatencyMs() : 0;
     STATE.startTime = audioCtx.currentTime + 1.0; // Start in 1s to allow animations to settle if needed, but 2s total from Ready start
     STATE.score = 0;
     STATE.combo = 0;
@@ -3955,47 +4777,68 @@ async function enterGame() {
         n.missTime = undefined;
     });
     STATE.bgmCursor = 0;
+    STATE.keySoundCursor = 0; // Autoplay keysounds queued by the audio scheduler
     STATE.bgaCursor = 0;
     STATE.bpmCursor = 0;
-    STATE.bpmCursor = 0;
-    STATE.bpmCursor = 0;
+    STATE.judgeRankCursor = 0;
+    STATE.judgeRank = getChartJudgeRank(STATE.loadedSong);
+    STATE.volumeCursor = 0;
+    STATE.chartVolume = { bgm: 1, key: 1 };
+    applyChartVolume();
     STATE.logicCursor = 0; // [NEW] Logic optimization cursor
     STATE.pacemakerCursor = 0; // [NEW] Ghost score cursor
-    STATE.inputLog = []; // Reset replay log
+    STATE.inputLog = []; // Reset replay key log
+    STATE.judgeLog = [];
+    STATE.autoOffsetSamples = [];
     STATE.currentMaxScore = 0; // [NEW] Running average denominator
+    STATE.playOptions = captureReplayOptions();
 
-    // Show Autoplay Indicator
+    // [REPLAY] Recorded key events drive the judgement instead of the keyboard
+    STATE.replayCursor = 0;
+    STATE.replayLog = STATE.isReplay ? STATE.replay.input : [];
+
+    // Show Autoplay / Replay Indicator
     const apEl = document.getElementById('hud-autoplay');
-    if (apEl) apEl.style.display = STATE.autoplay ? 'block' : 'none';
+    if (apEl) {
+        apEl.textContent = STATE.isReplay ? 'REPLAY' : 'AUTOPLAY';
+        apEl.style.display = (STATE.autoplay || STATE.isReplay) ? 'block' : 'none';
+    }
 
     // Initialize beam opacity states for 8 lanes (Scratch + 7 Keys)
     // Indices: 0=Scratch, 1-7=Keys
     STATE.beamOpacity = new Array(8).fill(0);
 
     // Apply Style (Mirror/Random/R-Random/S-Random/H-Random/All-Scratch)
+    // Shuffles are seeded so a replay can rebuild the same lanes
+    STATE.modifierSeed = (replayRandom && replayRandom.modifierSeed !== undefined) ?
+        replayRandom.modifierSeed : Math.floor(Math.random() * 0x100000000);
+    STATE.lanePermutation = null;
+    const rand = RandomUtils.createSeededRandom(STATE.modifierSeed);
     if (STATE.modifier !== 'OFF') {
         const p1Keys = [0x11, 0x12, 0x13, 0x14, 0x15, 0x18, 0x19];
+        // A replay's recorded permutation wins over re-deriving it from the seed
+        const replayLanes = (replayRandom && Array.isArray(replayRandom.lanes) && replayRandom.lanes.length === 7) ? replayRandom.lanes : null;
 
         if (STATE.modifier === 'MIRROR') {
             const reversed = [...p1Keys].reverse();
-            let mapping = {};
-            p1Keys.forEach((k, i) => mapping[k] = reversed[i]);
-            STATE.loadedSong.notes.forEach(n => { if (mapping[n.ch]) n.ch = mapping[n.ch]; });
+            STATE.lanePermutation = reversed;
+            RandomUtils.applyLanePermutation(STATE.loadedSong, p1Keys, reversed);
         } else if (STATE.modifier === 'RANDOM') {
-            const shuffled = [...p1Keys].sort(() => Math.random() - 0.5);
-            let mapping = {};
-            p1Keys.forEach((k, i) => mapping[k] = shuffled[i]);
-            STATE.loadedSong.notes.forEach(n => { if (mapping[n.ch]) n.ch = mapping[n.ch]; });
+            const shuffled = replayLanes || [...p1Keys].sort(() => rand() - 0.5);
+            STATE.lanePermutation = shuffled;
+            RandomUtils.applyLanePermutation(STATE.loadedSong, p1Keys, shuffled);
         } else if (STATE.modifier === 'R-RANDOM') {
-            const offset = 1 + Math.floor(Math.random() * 6);
-            let mapping = {};
-            p1Keys.forEach((k, i) => mapping[k] = p1Keys[(i + offset) % 7]);
-            STATE.loadedSong.notes.forEach(n => { if (mapping[n.ch]) n.ch = mapping[n.ch]; });
+            const offset = 1 + Math.floor(rand() * 6);
+            const rotated = replayLanes || p1Keys.map((k, i) => p1Keys[(i + offset) % 7]);
+            STATE.lanePermutation = rotated;
+            RandomUtils.applyLanePermutation(STATE.loadedSong, p1Keys, rotated);
         } else if (STATE.modifier === 'S-RANDOM') {
             STATE.loadedSong.notes.forEach(n => {
-                if (p1Keys.includes(n.ch)) n.ch = p1Keys[Math.floor(Math.random() * 7)];
-                if (p1Keys.map(k => k + 0x40).includes(n.ch)) n.ch = p1Keys[Math.floor(Math.random() * 7)] + 0x40;
+                if (p1Keys.includes(n.ch)) n.ch = p1Keys[Math.floor(rand() * 7)];
+                if (p1Keys.map(k => k + 0x40).includes(n.ch)) n.ch = p1Keys[Math.floor(rand() * 7)] + 0x40;
             });
+            STATE.loadedSong.mines.forEach(m => { if (p1Keys.includes(m.lane)) m.lane = p1Keys[Math.floor(rand() * 7)]; });
+            STATE.loadedSong.invisibleNotes.forEach(m => { if (p1Keys.includes(m.lane)) m.lane = p1Keys[Math.floor(rand() * 7)]; });
         } else if (STATE.modifier === 'H-RANDOM') {
             let lastLane = -1;
             let lastTime = -1;
@@ -4007,7 +4850,7 @@ async function enterGame() {
                     if (lastLane !== -1 && Math.abs(n.time - lastTime) < 50) {
                         available = available.filter(k => k !== lastLane);
                     }
-                    const picked = available[Math.floor(Math.random() * available.length)];
+                    const picked = available[Math.floor(rand() * available.length)];
                     n.ch = picked;
                     lastLane = picked;
                     lastTime = n.time;
@@ -4041,12 +4884,17 @@ async function enterGame() {
         }
     }
 
-    // [ASSIST] No Mines: Filter out landmine channels (0x31-0x39, 0x41-0x49)
+    // [ASSIST] No Mines: Drop landmines (channels D1-D9 / E1-E9)
     if (STATE.assistNoMines) {
-        const mineChannels = [0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39,
-            0x41, 0x42, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49];
-        STATE.loadedSong.notes = STATE.loadedSong.notes.filter(n => !mineChannels.includes(n.ch));
+        STATE.loadedSong.mines = [];
     }
+    STATE.mineCursor = 0;
+    buildLaneKeysounds();
+
+    // CN/HCN judge LN heads and tails separately
+    STATE.heldNotes = [];
+    const lnCount = STATE.loadedSong.notes.filter(n => n.endTime !== undefined).length;
+    STATE.totalJudgeCount = STATE.loadedSong.notes.length + (STATE.lnMode === 'LN' ? 0 : lnCount);
 
     // Reset tally
     STATE.judgeCounts = { pgreat: 0, great: 0, good: 0, bad: 0, poor: 0 };
@@ -4077,7 +4925,7 @@ async function enterGame() {
         ui.gameBg.style.backgroundImage = '';
     }
 
-    const rawTick = STATE.loadedSong.total / Math.max(1, STATE.loadedSong.noteCount);
+    const rawTick = STATE.loadedSong.total / Math.max(1, getTotalJudgeCount());
     STATE.gaugeTick = rawTick;
 
     // GAUGE INIT
@@ -4110,14 +4958,30 @@ async function enterGame() {
 
     // Reset history
     STATE.history = { gauge: [], score: [] };
-    const lastNote = STATE.loadedSong.notes[STATE.loadedSong.notes.length - 1];
-    STATE.lastNoteTime = lastNote ? lastNote.time : 0;
+    // A long note released late can outlast the last note head
+    STATE.lastNoteTime = STATE.loadedSong.notes.reduce((t, n) => Math.max(t, n.endTime !== undefined ? n.endTime : n.time), 0);
 
     // Reset FPS / Timing
     STATE.lastFpsUpdate = 0;
     STATE.frameCount = 0;
     STATE.lastFrameTime = performance.now();
 
+    // [PRACTICE] Jump to the section lead-in
+    if (STATE.practice) {
+        STATE.practice.loops = [];
+        startPracticeLoop();
+    } else {
+        updatePracticeHud();
+    }
+
+    // [REPLAY] A backward seek restarted the replay; skip ahead to where it was
+    if (STATE.isReplay && STATE.replaySeekTarget > 0) {
+        const target = STATE.replaySeekTarget;
+        STATE.replaySeekTarget = 0;
+        seekReplay(target - getSongTime());
+    }
+
+    startAudioScheduler();
     requestAnimationFrame(loop);
 }
 
@@ -4173,30 +5037,340 @@ function updateTallyDisplay() {
     ui.tallyCb.textContent = STATE.comboBreaks;
 }
 
-function playSound(id, type = 'key') {
+/**
+ * Plays a chart sound. `when` is an audioCtx time for sounds queued ahead by the scheduler (0 = now).
+ * slice (optional) is the note/event being played; bmson slices carry the offset and
+ * duration (ms) of their part of the channel's audio file.
+ * `skip` (ms) starts the sound part-way through, for sounds already playing when the song clock jumped.
+ */
+function playSound(id, type = 'key', slice = null, when = 0, skip = 0) {
+    if (STATE.isSeeking) return;
     if (STATE.audioBuffers[id]) {
         const s = audioCtx.createBufferSource();
-        s.buffer = STATE.audioBuffers[id];
+        // Practice rate: a time-stretched copy keeps the pitch, otherwise samples play
+        // faster/slower with the chart and the pitch follows the rate
+        const stretched = STATE.practiceBuffers && STATE.practiceBuffers[id];
+        const scale = stretched ? STATE.playbackRate : 1; // Song ms per buffer ms
+        s.buffer = stretched || STATE.audioBuffers[id];
+        if (!stretched && STATE.playbackRate !== 1) s.playbackRate.value = STATE.playbackRate;
 
         // Connect to appropriate gain node
-        if (type === 'bgm') s.connect(bgmGain);
-        else s.connect(keyGain);
-
-        s.start(0);
+        if (type === 'bgm') s.connect(chartBgmGain);
+        else s.connect(chartKeyGain);
+
+        const offset = ((slice && slice.offset ? slice.offset : 0) + skip) / scale / 1000;
+        if (slice && slice.duration !== undefined) s.start(when, offset, Math.max(0, slice.duration - skip) / scale / 1000);
+        else s.start(when, offset);
+
+        // One voice per WAV ID: a retrigger cuts the previous instance (LR2/beatoraja behaviour)
+        if (!STATE.activeSources) STATE.activeSources = new Map();
+        const voices = STATE.activeSources;
+        const startAt = Math.max(when, audioCtx.currentTime);
+        const prev = voices.get(id);
+        let key = id;
+        if (prev && prev.startAt > startAt) {
+            // The same ID is already queued later; this voice ends when that one starts.
+            // It gets its own key so stopAllAudio still reaches it.
+            s.stop(prev.startAt);
+            key = `${id}@${startAt}`;
+        } else if (prev) {
+            try { prev.source.stop(startAt); } catch (e) { }
+            voices.delete(id);
+        }
+
+        // Polyphony cap: the Map keeps insertion order, so the first keysound entry is the
+        // oldest voice. BGM is never stolen (a backing track is usually the oldest voice).
+        if (voices.size >= (STATE.maxPolyphony || DEFAULT_POLYPHONY)) {
+            for (const [oldestId, oldest] of voices) {
+                if (oldest.type === 'bgm') continue;
+                try { oldest.source.stop(startAt); } catch (e) { }
+                voices.delete(oldestId);
+                break;
+            }
+        }
 
-        // Track source for stopping
-        if (!STATE.activeSources) STATE.activeSources = new Set();
-        STATE.activeSources.add(s);
+        const voice = { source: s, startAt, type };
+        voices.set(key, voice);
         s.onended = () => {
-            if (STATE.activeSources) STATE.activeSources.delete(s);
+            if (voices.get(key) === voice) voices.delete(key);
         };
     }
 }
 
+/**
+ * Channel 97/98 levels in effect at song time `ms`: the last BGM and keysound volume
+ * event before it (full volume until the first).
+ * Volume is per channel only; BMS and bmson have no per-keysound gain to apply.
+ */
+function chartVolumeAt(song, ms) {
+    const volume = { bgm: 1, key: 1 };
+    (song.volumeEvents || []).forEach(v => {
+        if (v.time < ms) volume[v.type] = v.volume;
+    });
+    return volume;
+}
+
+/**
+ * Pushes #VOLWAV and the current channel 97/98 levels to the chart gain nodes.
+ */
+function applyChartVolume() {
+    const song = STATE.loadedSong;
+    const volWav = (song && song.volWav >= 0 ? song.volWav : 1) * (STATE.loudnessGain || 1);
+    chartBgmGain.gain.value = volWav * STATE.chartVolume.bgm;
+    chartKeyGain.gain.value = volWav * STATE.chartVolume.key;
+}
+
+// ----------------------------------------------------------------------------
+// MIXER
+// ----------------------------------------------------------------------------
+const MIXER_CHANNELS = [
+    { id: 'opt-vol-master', prop: 'masterVolume', node: masterGain },
+    { id: 'opt-vol-key', prop: 'keyVolume', node: keyGain },
+    { id: 'opt-vol-bgm', prop: 'bgmVolume', node: bgmGain },
+    { id: 'opt-vol-system', prop: 'systemVolume', node: systemGain },
+    { id: 'opt-vol-preview', prop: 'previewVolume', node: previewMixGain }
+];
+const LOUDNESS_TARGET_RMS = 0.125; // About -18 dBFS for the whole chart mix
+const LOUDNESS_MAX_GAIN = 4;       // +/-12 dB at most
+const LOUDNESS_SAMPLE_RATE = 22050; // Mono mixdown rate for the measurement
+
+function mixerVolume(prop) {
+    return STATE[prop] !== undefined ? STATE[prop] : 50;
+}
+
+/**
+ * Pushes the saved mixer levels (0-100) to the gain nodes.
+ */
+function applyMixerVolumes() {
+    MIXER_CHANNELS.forEach(ch => { ch.node.gain.value = mixerVolume(ch.prop) / 100; });
+}
+
+// Mixer sliders apply live and save on release
+MIXER_CHANNELS.forEach(ch => {
+    const el = document.getElementById(ch.id);
+    el.addEventListener('input', () => {
+        STATE[ch.prop] = parseInt(el.value);
+        document.getElementById(ch.id + '-val').textContent = el.value;
+        applyMixerVolumes();
+    });
+    el.addEventListener('change', savePlayerOptions);
+});
+
+/**
+ * Renders the whole chart as it would play (same-ID retriggers cut, #VOLWAV and channel
+ * 97/98 levels applied) in a mono OfflineAudioContext and returns the gain that brings
+ * its RMS level to the target. Every note is assumed hit.
+ */
+async function measureChartLoudness(song, buffers) {
+    const seconds = song.songDuration / 1000;
+    if (!(seconds > 0)) return 1;
+    const offline = new OfflineAudioContext(1, Math.ceil(seconds * LOUDNESS_SAMPLE_RATE), LOUDNESS_SAMPLE_RATE);
+    const volWav = song.volWav >= 0 ? song.volWav : 1;
+    const channels = { bgm: offline.createGain(), key: offline.createGain() };
+    for (const type in channels) {
+        channels[type].gain.setValueAtTime(volWav, 0);
+        channels[type].connect(offline.destination);
+    }
+    (song.volumeEvents || []).forEach(v => {
+        channels[v.type].gain.setValueAtTime(volWav * v.volume, v.time / 1000);
+    });
+
+    const events = song.bgm.map(e => ({ e, type: 'bgm' }))
+        .concat(song.notes.map(n => ({ e: n, type: 'key' })))
+        .sort((a, b) => a.e.time - b.e.time);
+    const voices = {};
+    let sources = 0;
+    events.forEach(({ e, type }) => {
+        const buffer = buffers[e.id];
+        if (!buffer) return;
+        const at = e.time / 1000;
+        const s = offline.createBufferSource();
+        s.buffer = buffer;
+        s.connect(channels[type]);
+        const offset = e.offset ? e.offset / 1000 : 0;
+        if (e.duration !== undefined) s.start(at, offset, e.duration / 1000);
+        else s.start(at, offset);
+        if (voices[e.id]) voices[e.id].stop(at);
+        voices[e.id] = s;
+        sources++;
+    });
+    if (sources === 0) return 1;
+
+    const data = (await offline.startRendering()).getChannelData(0);
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    const rms = Math.sqrt(sum / data.length);
+    if (rms <= 0) return 1;
+    return Math.max(1 / LOUDNESS_MAX_GAIN, Math.min(LOUDNESS_MAX_GAIN, LOUDNESS_TARGET_RMS / rms));
+}
+
+/**
+ * Loudness normalization gain for the loaded chart, measured once and kept in the metadata cache.
+ */
+async function getChartLoudnessGain(song) {
+    if (!STATE.loudnessNormalize) return 1;
+    const cached = song.md5 && _metadataCache[song.md5];
+    if (cached && cached.loudnessGain) return cached.loudnessGain;
+
+    let gain = 1;
+    try {
+        gain = await measureChartLoudness(song, STATE.audioBuffers);
+    } catch (e) {
+        console.warn('Loudness measurement failed:', e.message);
+        return 1;
+    }
+    if (cached) {
+        cached.loudnessGain = gain;
+        saveMetadataCacheThrottled();
+    }
+    return gain;
+}
+
+// ----------------------------------------------------------------------------
+// AUDIO OUTPUT
+// ----------------------------------------------------------------------------
+/**
+ * Delay between the audio clock and the speakers as reported by the browser, in ms.
+ */
+function getOutputLatencyMs() {
+    return ((audioCtx.baseLatency || 0) + (audioCtx.outputLatency || 0)) * 1000;
+}
+
+/**
+ * Routes output to the saved device ('' = system default). Needs AudioContext.setSinkId.
+ */
+async function applyAudioOutputDevice() {
+    if (!audioCtx.setSinkId) return;
+    try {
+        await audioCtx.setSinkId(STATE.audioOutputDevice || '');
+    } catch (e) {
+        console.warn('Audio output device unavailable, using default:', e.message);
+        if (STATE.audioOutputDevice) await audioCtx.setSinkId('').catch(() => { });
+    }
+}
+
+/**
+ * Flags a latency hint that differs from the one the running AudioContext was created with.
+ */
+function updateLatencyHintNote() {
+    const pending = document.getElementById('opt-latency-hint').value !== AUDIO_LATENCY_HINT;
+    document.getElementById('latency-hint-note').textContent = pending ? 'Restart to apply' : '';
+}
+
+/**
+ * Fills the output device list in Settings > Audio and shows the measured latency.
+ */
+async function renderAudioOutputSettings() {
+    const select = document.getElementById('opt-audio-device');
+    select.innerHTML = '<option value="">System Default</option>';
+    select.disabled = !audioCtx.setSinkId;
+    if (audioCtx.setSinkId && navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+        try {
+            const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audiooutput' && d.deviceId !== 'default');
+            devices.forEach((d, i) => {
+                const opt = document.createElement('option');
+                opt.value = d.deviceId;
+                opt.textContent = d.label || `Output ${i + 1}`;
+                select.appendChild(opt);
+            });
+        } catch (e) {
+            console.warn('Could not list audio outputs:', e.message);
+        }
+    }
+    select.value = STATE.audioOutputDevice || '';
+    if (select.value !== (STATE.audioOutputDevice || '')) select.value = '';
+
+    const base = (audioCtx.baseLatency || 0) * 1000;
+    const output = (audioCtx.outputLatency || 0) * 1000;
+    document.getElementById('audio-latency-info').textContent =
+        `Base ${base.toFixed(1)} ms + output ${output.toFixed(1)} ms = ${(base + output).toFixed(1)} ms @ ${audioCtx.sampleRate} Hz`;
+}
+
+// ----------------------------------------------------------------------------
+// AUDIO SCHEDULER
+// ----------------------------------------------------------------------------
+// BGM and autoplay keysounds are queued on the audio clock ahead of time instead of
+// being fired from the render loop, so they land on the sample regardless of frame rate.
+const SCHEDULE_AHEAD_MS = 120;   // Audio time queued ahead of the song clock
+const SCHEDULE_INTERVAL_MS = 25; // Scheduler tick, independent of the render loop
+let _schedulerTimer = null;
+
+/**
+ * audioCtx time at which song time `ms` is played (reaching the speakers one output latency later).
+ */
+function songTimeToAudioTime(ms) {
+    return STATE.startTime + ms / 1000 / (STATE.playbackRate || 1);
+}
+
+/**
+ * Notes the game plays by itself (autoplay, auto-scratch).
+ */
+function isAutoHitNote(n) {
+    return STATE.autoplay || (STATE.assistAutoScratch && CHANNELS.P1.SCRATCH.includes(n.ch));
+}
+
+/**
+ * Queues BGM and autoplay keysounds that fall within the lookahead window.
+ * updateGameLogic still plays anything the scheduler has not reached (and advances
+ * bgmCursor silently while seeking).
+ */
+function scheduleAudio() {
+    if (!STATE.isPlaying || !STATE.loadedSong) {
+        clearInterval(_schedulerTimer);
+        _schedulerTimer = null;
+        return;
+    }
+    if (STATE.isSeeking) return;
+    // From the audio clock, not getSongTime(): the song clock trails it by the output latency
+    const horizon = (audioCtx.currentTime - STATE.startTime + SCHEDULE_AHEAD_MS / 1000) * 1000 * (STATE.playbackRate || 1);
+
+    // BGM and notes are merged in time order so same-ID retriggers are queued in sequence
+    const bgm = STATE.loadedSong.bgm;
+    const notes = STATE.loadedSong.notes;
+    for (;;) {
+        const ev = STATE.bgmCursor < bgm.length && bgm[STATE.bgmCursor].time <= horizon ? bgm[STATE.bgmCursor] : null;
+        const n = STATE.keySoundCursor < notes.length && notes[STATE.keySoundCursor].time <= horizon ? notes[STATE.keySoundCursor] : null;
+        if (!ev && !n) break;
+        if (ev && (!n || ev.time <= n.time)) {
+            playSound(ev.id, 'bgm', ev, songTimeToAudioTime(ev.time));
+            STATE.bgmCursor++;
+        } else {
+            if (!n.hit && isAutoHitNote(n)) playSound(n.id, 'key', n, songTimeToAudioTime(n.time));
+            STATE.keySoundCursor++;
+        }
+    }
+}
+
+/**
+ * Restarts BGM triggered before song time `from` that is still sounding there, part-way
+ * through. The scheduler only plays events from bgmCursor on, so without this a jump
+ * (practice loop, replay seek) silences a long backing track until its next trigger.
+ */
+function resumeBgmAt(from) {
+    const bgm = STATE.loadedSong.bgm;
+    const retriggered = new Set(); // Only the latest trigger of each ID can still be sounding
+    const when = songTimeToAudioTime(from);
+    for (let i = bgm.length - 1; i >= 0; i--) {
+        const ev = bgm[i];
+        if (ev.time >= from || retriggered.has(ev.id)) continue;
+        retriggered.add(ev.id);
+        const buffer = STATE.audioBuffers[ev.id];
+        if (!buffer) continue;
+        const length = ev.duration !== undefined ? ev.duration : buffer.duration * 1000 - (ev.offset || 0);
+        if (from - ev.time < length) playSound(ev.id, 'bgm', ev, when, from - ev.time);
+    }
+}
+
+function startAudioScheduler() {
+    clearInterval(_schedulerTimer);
+    _schedulerTimer = setInterval(scheduleAudio, SCHEDULE_INTERVAL_MS);
+    scheduleAudio();
+}
+
 function stopAllAudio() {
     if (STATE.activeSources) {
-        STATE.activeSources.forEach(s => {
-            try { s.stop(); } catch (e) { }
+        STATE.activeSources.forEach(v => {
+            try { v.source.stop(); } catch (e) { }
         });
         STATE.activeSources.clear();
     }
@@ -4207,8 +5381,8 @@ function playSystemSound(id, loop = false) {
         const s = audioCtx.createBufferSource();
         s.buffer = STATE.systemAudio[id];
 
-        // System sounds use BGM gain
-        s.connect(bgmGain);
+        // System sounds have their own mixer channel; the select loop can be faded under a song preview
+        s.connect(id === 'select' ? selectBgmGain : systemGain);
 
         s.loop = loop;
         s.start(0);
@@ -4217,6 +5391,218 @@ function playSystemSound(id, loop = false) {
     return null;
 }
 
+// ----------------------------------------------------------------------------
+// SONG PREVIEW
+// ----------------------------------------------------------------------------
+const PREVIEW_LENGTH = 15000; // ms of chart audio rendered when there is no #PREVIEW file
+const PREVIEW_DELAY = 400;    // ms the wheel must rest on a chart before its preview loads
+const PREVIEW_FADE = 0.5;     // s crossfade between the select BGM and the preview
+const PREVIEW_CACHE_SIZE = 8; // Rendered/decoded previews kept for re-selection
+
+const _previewCache = new Map(); // md5 or fileRef -> AudioBuffer (oldest first)
+let _previewTimer = null;
+let _previewToken = 0;
+let _previewSource = null;
+
+/**
+ * Start time (ms) of the preview window: the PREVIEW_LENGTH stretch with the most notes.
+ */
+function pickPreviewStart(data) {
+    if (!data.density) return 0;
+    const { scratch, keys, ln } = data.density;
+    const windowSec = PREVIEW_LENGTH / 1000;
+    let sum = 0, best = -1, bestStart = 0;
+    for (let i = 0; i < keys.length; i++) {
+        sum += scratch[i] + keys[i] + ln[i];
+        if (i >= windowSec) sum -= scratch[i - windowSec] + keys[i - windowSec] + ln[i - windowSec];
+        const start = Math.max(0, i - windowSec + 1);
+        if (i >= windowSec - 1 && sum > best) {
+            best = sum;
+            bestStart = start;
+        }
+    }
+    return bestStart * 1000;
+}
+
+/**
+ * Reads one file for a song preview. Uses a decoded buffer if the chart was played, but
+ * never adds to the cache: browsing would evict the chart just played and slow a retry.
+ */
+async function readChartAudio(fileRef, filename) {
+    const cached = _audioCache.get(audioCacheKey(fileRef, filename));
+    if (cached) return cached.buffer;
+
+    let buffer = null;
+    if (IS_DESKTOP) {
+        const ref = await window.electronAPI.resolvePath(fileRef, filename);
+        if (ref) buffer = await dataLayer.readAudio(ref);
+    } else {
+        const f = dataLayer.webFiles[filename.toLowerCase()];
+        if (f) buffer = await dataLayer.readAudio(f);
+    }
+    return buffer;
+}
+
+/**
+ * Mixes the chart's BGM and keysounds over the preview window. Files are read a few at a
+ * time (abandoned once the wheel moves on); the mix itself renders in an OfflineAudioContext.
+ */
+async function renderChartPreview(chart, data, token) {
+    const start = pickPreviewStart(data);
+    const end = start + PREVIEW_LENGTH;
+    const events = [];
+    const before = {}; // ID -> latest BGM trigger before the window, which may still be sounding
+    data.bgm.forEach(e => {
+        if (e.time < start) before[e.id] = e;
+        else if (e.time < end) events.push(e);
+    });
+    data.notes.forEach(n => { if (n.time >= start && n.time < end) events.push(n); });
+    const carried = Object.values(before);
+    if (events.length === 0 && carried.length === 0) return null;
+
+    const buffers = {};
+    const ids = [...new Set(events.concat(carried).map(e => e.id))];
+    let nextId = 0;
+    const runLoader = async () => {
+        while (nextId < ids.length && token === _previewToken) {
+            const id = ids[nextId++];
+            const filename = data.headers['WAV' + id];
+            if (!filename) continue;
+            try {
+                buffers[id] = await readChartAudio(chart.fileRef, filename);
+            } catch (e) {
+                console.warn(`Preview audio ${id} error:`, e.message);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(AUDIO_LOAD_CONCURRENCY, ids.length) }, runLoader));
+    if (token !== _previewToken) return null; // Wheel moved on
+
+    const sampleRate = audioCtx.sampleRate;
+    const offline = new OfflineAudioContext(2, Math.ceil(PREVIEW_LENGTH / 1000 * sampleRate), sampleRate);
+    const out = offline.createGain();
+    out.connect(offline.destination);
+    // Short fade-in, one second fade-out so the loop point is not abrupt
+    const seconds = PREVIEW_LENGTH / 1000;
+    const level = (data.volWav || 1) * (STATE.loudnessNormalize && data.loudnessGain ? data.loudnessGain : 1);
+    out.gain.setValueAtTime(0, 0);
+    out.gain.linearRampToValueAtTime(level, 0.3);
+    out.gain.setValueAtTime(level, seconds - 1);
+    out.gain.linearRampToValueAtTime(0, seconds);
+
+    // Same-ID retriggers cut the previous voice, as in playSound
+    const voices = {};
+    // BGM started before the window joins part-way through (usually the backing track)
+    carried.forEach(e => {
+        const buffer = buffers[e.id];
+        if (!buffer) return;
+        const skip = (start - e.time) / 1000;
+        const offset = (e.offset ? e.offset / 1000 : 0) + skip;
+        const length = e.duration !== undefined ? e.duration / 1000 - skip : buffer.duration - offset;
+        if (length <= 0) return;
+        const s = offline.createBufferSource();
+        s.buffer = buffer;
+        s.connect(out);
+        s.start(0, offset, length);
+        voices[e.id] = s;
+    });
+    events.sort((a, b) => a.time - b.time).forEach(e => {
+        const buffer = buffers[e.id];
+        if (!buffer) return;
+        const s = offline.createBufferSource();
+        s.buffer = buffer;
+        s.connect(out);
+        const at = (e.time - start) / 1000;
+        const offset = e.offset ? e.offset / 1000 : 0;
+        if (e.duration !== undefined) s.start(at, offset, e.duration / 1000);
+        else s.start(at, offset);
+        if (voices[e.id]) voices[e.id].stop(at);
+        voices[e.id] = s;
+    });
+    return await offline.startRendering();
+}
+
+async function loadSongPreview(chart, data, token) {
+    const key = chart.md5 || chart.fileRef;
+    if (_previewCache.has(key)) return _previewCache.get(key);
+
+    let buffer = null;
+    if (data.headers['PREVIEW']) {
+        try {
+            buffer = await readChartAudio(chart.fileRef, data.headers['PREVIEW']);
+        } catch (e) {
+            console.warn('Preview file error:', e.message);
+        }
+    }
+    if (!buffer) buffer = await renderChartPreview(chart, data, token);
+    if (!buffer) return null;
+
+    _previewCache.set(key, buffer);
+    if (_previewCache.size > PREVIEW_CACHE_SIZE) _previewCache.delete(_previewCache.keys().next().value);
+    return buffer;
+}
+
+/**
+ * Plays the selected chart's preview once the wheel settles on it.
+ */
+function scheduleSongPreview(chart, data) {
+    stopSongPreview();
+    if (!STATE.songPreview) return;
+    const token = _previewToken;
+    _previewTimer = setTimeout(async () => {
+        const buffer = await loadSongPreview(chart, data, token);
+        if (!buffer || token !== _previewToken || STATE.isStarting || STATE.isPlaying) return;
+
+        const s = audioCtx.createBufferSource();
+        s.buffer = buffer;
+        s.loop = true;
+        s.connect(previewGain);
+        s.start(0);
+        _previewSource = s;
+
+        const now = audioCtx.currentTime;
+        previewGain.gain.cancelScheduledValues(now);
+        previewGain.gain.setValueAtTime(previewGain.gain.value, now);
+        previewGain.gain.linearRampToValueAtTime(1, now + PREVIEW_FADE);
+        selectBgmGain.gain.cancelScheduledValues(now);
+        selectBgmGain.gain.setValueAtTime(selectBgmGain.gain.value, now);
+        selectBgmGain.gain.linearRampToValueAtTime(0, now + PREVIEW_FADE);
+    }, PREVIEW_DELAY);
+}
+
+/**
+ * Fades out the current preview (and cancels a pending one), bringing the select BGM back.
+ */
+function stopSongPreview() {
+    _previewToken++;
+    clearTimeout(_previewTimer);
+    _previewTimer = null;
+
+    const now = audioCtx.currentTime;
+    if (_previewSource) {
+        const s = _previewSource;
+        _previewSource = null;
+        previewGain.gain.cancelScheduledValues(now);
+        previewGain.gain.setValueAtTime(previewGain.gain.value, now);
+        previewGain.gain.linearRampToValueAtTime(0, now + PREVIEW_FADE);
+        try { s.stop(now + PREVIEW_FADE); } catch (e) { }
+    }
+    selectBgmGain.gain.cancelScheduledValues(now);
+    selectBgmGain.gain.setValueAtTime(selectBgmGain.gain.value, now);
+    selectBgmGain.gain.linearRampToValueAtTime(1, now + PREVIEW_FADE);
+}
+
+/**
+ * Leaving song select: stops the select loop and any preview.
+ */
+function stopSelectBgm() {
+    stopSongPreview();
+    if (STATE.selectBgmSource) {
+        try { STATE.selectBgmSource.stop(); } catch (e) { }
+        STATE.selectBgmSource = null;
+    }
+}
+
 function updateBGA(event) {
     if (STATE.bgaDisplay === 'OFF') {
         ui.gameBga.style.visibility = 'hidden';
@@ -4327,7 +5713,7 @@ function updatePacemaker(now) {
 
     // Calculate Target Score
     let targetScore = 0;
-    const maxEx = STATE.loadedSong.notes.length * 2;
+    const maxEx = getTotalJudgeCount() * 2;
     const pacemakerTarget = STATE.pacemakerTarget || 'AAA'; // Default AAA
 
     if (pacemakerTarget === 'MY BEST') {
@@ -4453,20 +5839,13 @@ function updatePacemaker(now) {
     }
 }
 
-function loop() {
-    if (!STATE.isPlaying) return;
-    const now = (audioCtx.currentTime - STATE.startTime) * 1000;
-
-    // Update progress bar (Throttled to once per 100ms or significant change)
-    if (STATE.lastNoteTime > 0 && ui.progressFill && (now - (STATE.lastProgressUpdate || 0) > 100)) {
-        const progress = Math.min(100, Math.max(0, (now / STATE.lastNoteTime) * 100));
-        ui.progressFill.style.height = `${progress.toFixed(1)}%`;
-        STATE.lastProgressUpdate = now;
-    }
-
+/**
+ * Advances cursors, judgement and long note/mine state to song time `now` (ms).
+ */
+function updateGameLogic(now) {
     const bgm = STATE.loadedSong.bgm;
     while (STATE.bgmCursor < bgm.length && bgm[STATE.bgmCursor].time <= now) {
-        playSound(bgm[STATE.bgmCursor].id, 'bgm');
+        playSound(bgm[STATE.bgmCursor].id, 'bgm', bgm[STATE.bgmCursor]);
         STATE.bgmCursor++;
     }
 
@@ -4499,14 +5878,38 @@ function loop() {
         STATE.bgaCursor++;
     }
 
+    if (STATE.isReplay) {
+        feedReplayInput(now);
+        if (!STATE.isPlaying) return;
+    }
+
+    const rankEvents = STATE.loadedSong.judgeRankEvents || [];
+    while (STATE.judgeRankCursor < rankEvents.length && rankEvents[STATE.judgeRankCursor].time <= now) {
+        STATE.judgeRank = rankEvents[STATE.judgeRankCursor].judgeRank;
+        STATE.judgeRankCursor++;
+    }
+
+    const volumes = STATE.loadedSong.volumeEvents || [];
+    if (STATE.volumeCursor < volumes.length && volumes[STATE.volumeCursor].time <= now) {
+        while (STATE.volumeCursor < volumes.length && volumes[STATE.volumeCursor].time <= now) {
+            const v = volumes[STATE.volumeCursor];
+            STATE.chartVolume[v.type] = v.volume;
+            STATE.volumeCursor++;
+        }
+        applyChartVolume();
+    }
+
     const notes = STATE.loadedSong.notes;
-    let win = JUDGE_WINDOWS[STATE.loadedSong.rank] || JUDGE_WINDOWS[3];
+    let win = getRankJudgeWindow();
 
     // Apply Extended Judge if enabled
     if (STATE.assistMode === 'EX-JUDGE' || STATE.assistMode === 'BOTH') {
         win = { PG: win.PG * 1.5, GR: win.GR * 1.5, GD: win.GD * 1.5, BD: win.BD * 1.5, PR: win.PR };
     }
 
+    // Judge clock: misses use the same offset as key presses
+    const judgeNow = now - (STATE.judgeOffset || 0);
+
     // OPTIMIZED: Sliding Window for Logic
     // Start from logicCursor and stop when notes are too far in future
     for (let i = STATE.logicCursor; i < notes.length; i++) {
@@ -4525,12 +5928,14 @@ function loop() {
 
         // Autoplay & Auto-Scratch
         const isScratch = CHANNELS.P1.SCRATCH.includes(n.ch);
-        const shouldAutoHit = STATE.autoplay || (STATE.assistAutoScratch && isScratch);
+        const shouldAutoHit = isAutoHitNote(n);
 
         if (shouldAutoHit && diff >= 0) {
             n.hit = true;
-            playSound(n.id, 'key');
-            handleJudgment('PGREAT', 0);
+            // Usually already queued by the audio scheduler
+            if (i >= STATE.keySoundCursor) playSound(n.id, 'key', n);
+            if (n.endTime !== undefined) startLongNote(n, 'PGREAT', 0, true);
+            else handleJudgment('PGREAT', 0);
             if (i === STATE.logicCursor) STATE.logicCursor++;
 
             // Trigger Beam
@@ -4547,7 +5952,7 @@ function loop() {
             if (targetIdx !== -1) STATE.beamOpacity[targetIdx] = 1.0;
         }
         // Miss Detection
-        else if (diff > win.BD) {
+        else if (judgeNow - n.time > win.BD) {
             // [FIX] If Auto-Scratch is on, don't trigger POOR for scratch notes (they are handled above)
             if (STATE.assistAutoScratch && isScratch) {
                 // Should have been hit by Auto-Scratch logic above if diff >= 0
@@ -4560,12 +5965,32 @@ function loop() {
             n.hit = true;
             n.isMissed = true;
             n.missTime = now;
-            handleJudgment('POOR', diff);
+            handleJudgment('POOR', judgeNow - n.time);
+            // CN/HCN: the unplayed tail is a miss as well
+            if (n.endTime !== undefined && STATE.lnMode !== 'LN') handleJudgment('POOR', judgeNow - n.time);
             if (i === STATE.logicCursor) STATE.logicCursor++;
         }
     }
 
-    render(now);
+    updateLongNotes(now);
+    updateMines(judgeNow);
+}
+
+function loop() {
+    if (!STATE.isPlaying) return;
+    const now = getSongTime();
+
+    // Update progress bar (Throttled to once per 100ms or significant change)
+    if (STATE.lastNoteTime > 0 && ui.progressFill && (now - (STATE.lastProgressUpdate || 0) > 100)) {
+        const progress = Math.min(100, Math.max(0, (now / STATE.lastNoteTime) * 100));
+        ui.progressFill.style.height = `${progress.toFixed(1)}%`;
+        STATE.lastProgressUpdate = now;
+    }
+
+    updateGameLogic(now);
+    if (!STATE.isPlaying) return; // Hard fail while holding or on a mine
+
+    render(now - (STATE.visualOffset || 0));
 
     // Sampling history for graphs (approx every 100ms)
     if (Math.floor(now / 100) > STATE.history.gauge.length) {
@@ -4579,8 +6004,24 @@ function loop() {
         STATE.lastPaceUpdate = now;
     }
 
+    // [PRACTICE] End of section: go again or finish
+    if (STATE.practice && now > STATE.practice.finishTime) {
+        recordPracticeLoop();
+        if (STATE.practice.loop) {
+            startPracticeLoop();
+        } else {
+            const isClear = (STATE.gaugeType === 'HARD' || STATE.gaugeType === 'EXHARD') ? (STATE.gauge > 0) : (STATE.gauge >= 80);
+            showResults(isClear);
+            return;
+        }
+    }
+
     // End of song check
     if (now > STATE.lastNoteTime + 2000) {
+        if (STATE.isCalibrating) {
+            completeCalibration();
+            return;
+        }
         const isClear = (STATE.gaugeType === 'HARD' || STATE.gaugeType === 'EXHARD') ? (STATE.gauge > 0) : (STATE.gauge >= 80);
         showResults(isClear);
         return;
@@ -4625,10 +6066,24 @@ function render(time) {
 // ----------------------------------------------------------------------------
 // JUDGEMENT SYSTEM
 // ----------------------------------------------------------------------------
-function handleJudgment(result, diffMs, isEmptyPoor = false) {
-    // Record input for stats/replay
+const AUTO_OFFSET_SAMPLES = 16; // Hits per AUTO ADJUST step
+
+function handleJudgment(result, diffMs, isEmptyPoor = false, isRelease = false) {
+    // Record judgement for stats/replay
     if (!STATE.autoplay) {
-        STATE.inputLog.push({ diff: diffMs, judge: result });
+        STATE.judgeLog.push({ judge: result, diff: diffMs });
+    }
+
+    // [AUTO ADJUST] Nudge judgeOffset halfway toward the mean of recent hits (releases excluded)
+    if (STATE.autoOffset === 'ON' && !STATE.autoplay && !STATE.isCalibrating && !isEmptyPoor && !isRelease &&
+        (result === 'PGREAT' || result === 'GREAT' || result === 'GOOD')) {
+        STATE.autoOffsetSamples.push(diffMs);
+        if (STATE.autoOffsetSamples.length >= AUTO_OFFSET_SAMPLES) {
+            const mean = STATE.autoOffsetSamples.reduce((a, b) => a + b, 0) / STATE.autoOffsetSamples.length;
+            STATE.judgeOffset = Math.max(-99, Math.min(99, Math.round((STATE.judgeOffset || 0) + mean / 2)));
+            STATE.autoOffsetSamples = [];
+            STATE.autoOffsetChanged = true;
+        }
     }
 
     // Scoring
@@ -4826,10 +6281,311 @@ function handleJudgment(result, diffMs, isEmptyPoor = false) {
         }
     }
 
-    // Mark HUD dirty (batched update)
+    // Mark HUD dirty (batched update)
+    markHudDirty();
+
+    showJudge(result, diffMs, isEmptyPoor);
+}
+
+/**
+ * Song time in ms. Runs at the practice playback rate (1 otherwise).
+ * Trails the audio clock by the output latency, so notes line up with what is heard.
+ */
+function getSongTime() {
+    return ((audioCtx.currentTime - STATE.startTime) * 1000 - (STATE.outputLatencyMs || 0)) * (STATE.playbackRate || 1);
+}
+
+/**
+ * Moves the song clock so that getSongTime() reads `ms` now.
+ */
+function setSongTime(ms) {
+    STATE.startTime = audioCtx.currentTime - (ms / (STATE.playbackRate || 1) + (STATE.outputLatencyMs || 0)) / 1000;
+}
+
+/**
+ * Song time in ms as seen by the judge. judgeOffset > 0 means the player hits late (SLOW).
+ */
+function getJudgeNow() {
+    return getSongTime() - (STATE.judgeOffset || 0);
+}
+
+/**
+ * Judge rank % a chart starts with, as computed by the parser (#DEFEXRANK, else #RANK).
+ */
+function getChartJudgeRank(song) {
+    return song.judgeRank > 0 ? song.judgeRank : DEFAULT_JUDGE_RANK;
+}
+
+/**
+ * Windows for a judge rank %. The #RANK tables are interpolated in between; outside
+ * them windows scale linearly with the percentage, the way beatoraja scales its judge
+ * windows by judge rank (so VERY EASY, 125%, is the EASY table x1.25).
+ */
+function getJudgeWindowForRank(judgeRank) {
+    const scale = (w, f) => ({ PG: w.PG * f, GR: w.GR * f, GD: w.GD * f, BD: w.BD * f, PR: Math.max(w.PR, w.BD * f) });
+    const ranks = JUDGE_WINDOW_RANKS;
+    const first = ranks[0], last = ranks[ranks.length - 1];
+    if (judgeRank <= first) return scale(JUDGE_WINDOWS[first], judgeRank / first);
+    if (judgeRank >= last) return scale(JUDGE_WINDOWS[last], judgeRank / last);
+
+    let i = 0;
+    while (ranks[i + 1] < judgeRank) i++;
+    const a = JUDGE_WINDOWS[ranks[i]], b = JUDGE_WINDOWS[ranks[i + 1]];
+    const f = (judgeRank - ranks[i]) / (ranks[i + 1] - ranks[i]);
+    const lerp = (k) => a[k] + (b[k] - a[k]) * f;
+    return { PG: lerp('PG'), GR: lerp('GR'), GD: lerp('GD'), BD: lerp('BD'), PR: lerp('PR') };
+}
+
+/**
+ * Windows at the current judge rank, before assist expansions.
+ */
+function getRankJudgeWindow() {
+    const judgeRank = STATE.judgeRank > 0 ? STATE.judgeRank : getChartJudgeRank(STATE.loadedSong);
+    return getJudgeWindowForRank(judgeRank);
+}
+
+/**
+ * Judge windows for the current chart, including the assist expansions.
+ */
+function getJudgeWindow() {
+    let win = getRankJudgeWindow();
+
+    // [ASSIST] Expand Judge: 4x timing windows (based on user request)
+    if (STATE.assistExpandJudge) {
+        win = {
+            PG: win.PG * 4.0,
+            GR: win.GR * 4.0,
+            GD: win.GD * 4.0,
+            BD: win.BD * 4.0,
+            PR: win.PR
+        };
+    } else if (STATE.assistMode === 'EX-JUDGE' || STATE.assistMode === 'BOTH') {
+        win = { PG: win.PG * 1.5, GR: win.GR * 1.5, GD: win.GD * 1.5, BD: win.BD * 1.5, PR: win.PR };
+    }
+    return win;
+}
+
+/**
+ * Number of judgements in the current play (max EX score is twice this).
+ */
+function getTotalJudgeCount() {
+    return STATE.totalJudgeCount || (STATE.loadedSong ? STATE.loadedSong.notes.length : 0);
+}
+
+// ----------------------------------------------------------------------------
+// LONG NOTES (LN / CN / HCN)
+// ----------------------------------------------------------------------------
+// LN:  One judgement. The head result is counted once the hold completes; early release is a POOR.
+// CN:  Head and tail are judged separately. The tail uses the wider release window.
+// HCN: CN, plus the gauge heals while held and drains while released before the end.
+const HCN_TICK_MS = 100;
+
+function startLongNote(note, res, diff, isAuto = false) {
+    if (res === 'BAD') {
+        // A BAD head loses the whole hold
+        handleJudgment('BAD', diff);
+        if (STATE.lnMode !== 'LN') handleJudgment('POOR', 0);
+        return;
+    }
+
+    note.holding = true;
+    note.lnActive = true; // Keeps the body drawn after the head is hit
+    note.isAutoHold = isAuto;
+    note.lastHcnTick = note.time;
+
+    if (STATE.lnMode === 'LN') {
+        // Counted on completion, show the head result right away
+        note.headJudge = res;
+        note.headDiff = diff;
+        showJudge(res, diff);
+    } else {
+        handleJudgment(res, diff);
+    }
+    STATE.heldNotes.push(note);
+}
+
+function releaseLongNote(note, now) {
+    // Dropped HCN that was re-grabbed: its tail is already judged
+    if (note.tailJudged) {
+        note.holding = false;
+        return;
+    }
+
+    const rel = getReleaseWindow(getJudgeWindow());
+    const diff = now - note.endTime;
+    const isEarly = diff < -rel.BD;
+
+    if (STATE.lnMode === 'LN') {
+        if (isEarly) {
+            handleJudgment('POOR', diff);
+        } else {
+            if (note.endId) playSound(note.endId, 'key');
+            handleJudgment(note.headJudge, note.headDiff);
+        }
+        finishLongNote(note);
+        return;
+    }
+
+    if (isEarly) {
+        handleJudgment('POOR', diff, false, true);
+        if (STATE.lnMode === 'HCN') {
+            // Stays active until the end so the gauge keeps draining
+            note.holding = false;
+            note.tailJudged = true;
+            return;
+        }
+        finishLongNote(note);
+        return;
+    }
+
+    const absDiff = Math.abs(diff);
+    let res = 'BAD';
+    if (absDiff <= rel.PG) res = 'PGREAT';
+    else if (absDiff <= rel.GR) res = 'GREAT';
+    else if (absDiff <= rel.GD) res = 'GOOD';
+    if (note.endId) playSound(note.endId, 'key');
+    handleJudgment(res, diff, false, true);
+    finishLongNote(note);
+}
+
+function finishLongNote(note) {
+    note.holding = false;
+    note.lnActive = false;
+    const idx = STATE.heldNotes.indexOf(note);
+    if (idx !== -1) STATE.heldNotes.splice(idx, 1);
+}
+
+/**
+ * Release windows are twice the head windows (LR2/beatoraja are lenient on release).
+ */
+function getReleaseWindow(win) {
+    return { PG: win.PG * 2, GR: win.GR * 2, GD: win.GD * 2, BD: win.BD * 2, PR: win.PR };
+}
+
+/**
+ * Per-frame long note processing: auto completion, late releases and HCN gauge ticks.
+ */
+function updateLongNotes(now) {
+    if (STATE.heldNotes.length === 0) return;
+    const rel = getReleaseWindow(getJudgeWindow());
+    const judgeNow = now - (STATE.judgeOffset || 0);
+
+    // Iterate over a copy, judging removes entries
+    for (const note of STATE.heldNotes.slice()) {
+        if (!STATE.isPlaying) return;
+        if (STATE.lnMode === 'HCN') tickHcnGauge(note, judgeNow);
+
+        // Every branch runs on the judge clock, like head and release judgements
+        if (note.tailJudged) {
+            if (judgeNow >= note.endTime) finishLongNote(note);
+        } else if (note.isAutoHold) {
+            // Autoplay releases exactly on the tail
+            if (judgeNow >= note.endTime) releaseLongNote(note, note.endTime);
+        } else if (STATE.lnMode === 'LN') {
+            if (judgeNow >= note.endTime) releaseLongNote(note, note.endTime);
+        } else if (judgeNow > note.endTime + rel.BD) {
+            // Still held after the release window closed
+            handleJudgment('BAD', judgeNow - note.endTime, false, true);
+            finishLongNote(note);
+        }
+    }
+}
+
+function tickHcnGauge(note, now) {
+    const end = Math.min(now, note.endTime);
+    while (note.lastHcnTick + HCN_TICK_MS <= end) {
+        note.lastHcnTick += HCN_TICK_MS;
+
+        for (const t in STATE.gaugeValues) {
+            const isSurvival = ['HARD', 'EXHARD', 'HAZARD'].includes(t);
+            let val = STATE.gaugeValues[t];
+            if (note.holding) val += isSurvival ? 0.02 : STATE.gaugeTick * 0.1;
+            else val -= isSurvival ? 0.5 : 0.3;
+            STATE.gaugeValues[t] = Math.min(100, Math.max(isSurvival ? 0 : 2, val));
+        }
+        STATE.gauge = STATE.gaugeValues[STATE.gaugeType];
+        markHudDirty();
+
+        // GAS demotion is left to the next regular judgement
+        if (STATE.gaugeAutoShift === 'NONE' && ['HARD', 'EXHARD', 'HAZARD'].includes(STATE.gaugeType) && STATE.gauge <= 0) {
+            triggerHardFail();
+            return;
+        }
+    }
+}
+
+// ----------------------------------------------------------------------------
+// LANE KEYSOUNDS
+// ----------------------------------------------------------------------------
+/**
+ * Builds, per lane, the time-sorted keysounds of its notes and invisible notes (0x31-0x49).
+ * LN channels share the lane of their normal channel.
+ */
+function buildLaneKeysounds() {
+    const lanes = {};
+    const add = (lane, n) => {
+        if (!lanes[lane]) lanes[lane] = { events: [], cursor: 0 };
+        lanes[lane].events.push({ time: n.time, id: n.id, offset: n.offset, duration: n.duration });
+    };
+    STATE.loadedSong.notes.forEach(n => add(n.ch >= 0x51 ? n.ch - 0x40 : n.ch, n));
+    (STATE.loadedSong.invisibleNotes || []).forEach(n => add(n.lane, n));
+    for (const lane in lanes) lanes[lane].events.sort((a, b) => a.time - b.time);
+    STATE.laneKeysounds = lanes;
+}
+
+/**
+ * Empty press: plays the keysound of the next object on the lane that has not passed
+ * the BAD window, or the last one once the lane is finished.
+ */
+function playLaneKeysound(lane, now, win) {
+    const entry = STATE.laneKeysounds[lane];
+    if (!entry || entry.events.length === 0) return;
+
+    const events = entry.events;
+    while (entry.cursor < events.length - 1 && events[entry.cursor].time < now - win.BD) {
+        entry.cursor++;
+    }
+    playSound(events[entry.cursor].id, 'key', events[entry.cursor]);
+}
+
+// ----------------------------------------------------------------------------
+// LANDMINES
+// ----------------------------------------------------------------------------
+/**
+ * A mine explodes if its lane is held as it crosses the judge line.
+ * Damage hits every gauge; the sound is #WAV00 as in LR2/beatoraja.
+ */
+function updateMines(now) {
+    const mines = STATE.loadedSong.mines;
+    if (!mines) return;
+
+    while (STATE.mineCursor < mines.length && mines[STATE.mineCursor].time <= now) {
+        const m = mines[STATE.mineCursor++];
+        if (STATE.autoplay || !STATE.isPlaying) continue;
+
+        let isHeld = false;
+        STATE.activeActions.forEach(action => {
+            const targets = ACTION_TO_CHANNELS[action];
+            if (targets && targets.includes(m.lane)) isHeld = true;
+        });
+        if (isHeld) explodeMine(m);
+    }
+}
+
+function explodeMine(mine) {
+    if (STATE.audioBuffers['00']) playSound('00', 'key');
+    else playSystemSound('playstop');
+
+    for (const t in STATE.gaugeValues) {
+        const isSurvival = ['HARD', 'EXHARD', 'HAZARD'].includes(t);
+        STATE.gaugeValues[t] = Math.max(isSurvival ? 0 : 2, STATE.gaugeValues[t] - mine.damage);
+    }
+    STATE.gauge = STATE.gaugeValues[STATE.gaugeType];
     markHudDirty();
 
-    showJudge(result, diffMs, isEmptyPoor);
+    if (STATE.gaugeAutoShift === 'NONE' && ['HARD', 'EXHARD', 'HAZARD'].includes(STATE.gaugeType) && STATE.gauge <= 0) {
+        triggerHardFail();
+    }
 }
 
 function showJudge(text, diff, isEmpty = false) {
@@ -4842,6 +6598,86 @@ function showJudge(text, diff, isEmpty = false) {
     };
 }
 
+// ----------------------------------------------------------------------------
+// SCROLL TIMELINE
+// ----------------------------------------------------------------------------
+/**
+ * Scroll position (beats, scaled by SCROLL) at song time t. Linear between timeline points.
+ */
+function getScrollPos(timeline, t) {
+    let lo = 0, hi = timeline.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (timeline[mid].time <= t) lo = mid;
+        else hi = mid - 1;
+    }
+    const p = timeline[lo];
+    return p.pos + (t - p.time) * p.rate;
+}
+
+/**
+ * #SPEED multiplier at song time t, interpolated between SPEED events (1 before the first).
+ */
+function getSpeedMultiplier(events, t) {
+    if (!events || events.length === 0 || t < events[0].time) return 1;
+    let i = 0;
+    while (i < events.length - 1 && events[i + 1].time <= t) i++;
+    const a = events[i], b = events[i + 1];
+    if (!b || b.time === a.time) return a.speed;
+    return a.speed + (b.speed - a.speed) * (t - a.time) / (b.time - a.time);
+}
+
+/**
+ * Per-frame note placement for the renderers. baseSpeed is the renderer's px/ms at the current BPM.
+ * dist(t) is the height above the judge line of an object at song time t; maxTime bounds the visible range.
+ * CONSTANT hi-speed, REG SPEED and the ignore-gimmicks option keep the plain time-based scroll.
+ */
+function getScrollView(time, baseSpeed, height) {
+    const song = STATE.loadedSong;
+    const timeline = song.scrollTimeline;
+    if (STATE.ignoreScrollGimmicks || STATE.assistRegularSpeed || STATE.hiSpeedFix === 'CONSTANT' || !timeline || timeline.length === 0) {
+        return { dist: (t) => (t - time) * baseSpeed, maxTime: time + height / baseSpeed };
+    }
+
+    // baseSpeed already carries currentBpm/refBpm, so this is px per beat at the reference BPM
+    const pxPerBeat = baseSpeed * 60000 / Math.max(0.001, STATE.currentBpm) * getSpeedMultiplier(song.speedEvents, time);
+    const nowPos = getScrollPos(timeline, time);
+    const dist = (t) => (getScrollPos(timeline, t) - nowPos) * pxPerBeat;
+    if (pxPerBeat <= 0) return { dist, maxTime: Infinity };
+
+    // First time the scroll position passes the top of the screen
+    const targetPos = nowPos + height / pxPerBeat;
+    let maxTime = Infinity;
+    for (let i = 0; i < timeline.length; i++) {
+        const p = timeline[i];
+        const segEnd = i < timeline.length - 1 ? timeline[i + 1].time : Infinity;
+        if (segEnd <= time || p.rate <= 0) continue;
+        const t = p.time + (targetPos - p.pos) / p.rate;
+        if (t < segEnd) {
+            maxTime = Math.max(time, t);
+            break;
+        }
+    }
+    return { dist, maxTime };
+}
+
+/**
+ * Draws measure lines across each [x, width] span. Lines sit on the scroll timeline,
+ * so they bunch up through BPM changes and hold still during stops like the notes do.
+ */
+function drawBarLines(ctx, scroll, time, hitY, spans) {
+    const measureTimes = STATE.loadedSong.measureTimes;
+    if (!measureTimes) return;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    for (const t of measureTimes) {
+        if (t < time) continue;
+        if (t > scroll.maxTime) break;
+        const y = hitY - scroll.dist(t);
+        if (y < 0 || y > hitY) continue;
+        for (const [x, w] of spans) ctx.fillRect(x, y, w, 1);
+    }
+}
+
 function drawJudgement(now) {
     if (!STATE.judgement.type || !STATE.judgementImage) return;
 
@@ -5029,6 +6865,542 @@ function updateHud() {
     ui.rate.textContent = percent.toFixed(2) + '%';
 }
 
+// ----------------------------------------------------------------------------
+// TIMING CALIBRATION
+// ----------------------------------------------------------------------------
+// A metronome chart with one note per beat on KEY 4. The mean hit diff of the
+// tap-along becomes the new judge offset.
+const CALIBRATION_BPM = 120;
+const CALIBRATION_BEATS = 40;
+const CALIBRATION_LEAD_IN = 8; // Metronome-only beats before the first note
+const CALIBRATION_MIN_TAPS = 8;
+
+function buildCalibrationChart() {
+    const beatMs = 60000 / CALIBRATION_BPM;
+    const notes = [];
+    const bgm = [];
+    for (let b = 0; b < CALIBRATION_BEATS; b++) {
+        const time = 1000 + b * beatMs;
+        bgm.push({ time, id: '01' });
+        if (b >= CALIBRATION_LEAD_IN) notes.push({ time, ch: 0x14, id: '02', hit: false });
+    }
+    const songDuration = 1000 + CALIBRATION_BEATS * beatMs;
+    return {
+        headers: { TITLE: 'TIMING CALIBRATION', ARTIST: 'Tap KEY 4 on the beat' },
+        notes, mines: [], invisibleNotes: [], bgm, bgaEvents: [], bpmEvents: [],
+        initialBpm: CALIBRATION_BPM, minBpm: CALIBRATION_BPM, maxBpm: CALIBRATION_BPM,
+        mainBpm: CALIBRATION_BPM, avgFixBpm: CALIBRATION_BPM,
+        total: 300, rank: 2, judgeRank: 75, noteCount: notes.length, songDuration, // NORMAL
+        startNps: 2, avgNps: 2, maxNps: 2, maxLnDuration: 0, randomBranches: [],
+        keyMode: '7'
+    };
+}
+
+/**
+ * Short 1kHz click with an instant attack so the beat is unambiguous.
+ */
+function createMetronomeClick() {
+    const len = Math.floor(audioCtx.sampleRate * 0.05);
+    const buffer = audioCtx.createBuffer(1, len, audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < len; i++) {
+        data[i] = Math.sin(2 * Math.PI * 1000 * i / audioCtx.sampleRate) * (1 - i / len);
+    }
+    return buffer;
+}
+
+function startCalibration() {
+    if (STATE.isPlaying || STATE.isStarting) return;
+
+    STATE.calibrationRestore = {
+        baseSongData: STATE.baseSongData,
+        loadedSong: STATE.loadedSong,
+        currentChartText: STATE.currentChartText,
+        gaugeType: STATE.gaugeType,
+        gaugeAutoShift: STATE.gaugeAutoShift,
+        modifier: STATE.modifier,
+        autoplay: STATE.autoplay
+    };
+    STATE.isCalibrating = true;
+    STATE.isStarting = true;
+    STATE.baseSongData = buildCalibrationChart();
+    STATE.currentChartText = null;
+    // No fail, no lane shuffle
+    STATE.gaugeType = 'ASSIST';
+    STATE.gaugeAutoShift = 'NONE';
+    STATE.modifier = 'OFF';
+    STATE.autoplay = false;
+
+    stopSelectBgm();
+    enterGame();
+}
+
+function endCalibration() {
+    if (STATE.calibrationRestore) Object.assign(STATE, STATE.calibrationRestore);
+    STATE.calibrationRestore = null;
+    STATE.isCalibrating = false;
+}
+
+function completeCalibration() {
+    STATE.isPlaying = false;
+    stopAllAudio();
+
+    const diffs = STATE.judgeLog.filter(e => e.diff !== undefined && e.judge !== 'POOR').map(e => e.diff);
+    endCalibration();
+    exitGame();
+
+    if (diffs.length < CALIBRATION_MIN_TAPS) {
+        showMessage('Calibration', `Calibration needs at least ${CALIBRATION_MIN_TAPS} hits (got ${diffs.length}). Judge offset unchanged.`);
+        return;
+    }
+
+    // Diffs were measured with the old offset applied
+    const mean = diffs.reduce((a, b) => a + b, 0) / diffs.length;
+    STATE.judgeOffset = Math.max(-99, Math.min(99, Math.round((STATE.judgeOffset || 0) + mean)));
+    _saveOptions();
+    showMessage('Calibration', `Judge offset set to ${STATE.judgeOffset > 0 ? '+' : ''}${STATE.judgeOffset} ms (mean ${mean.toFixed(1)} ms over ${diffs.length} hits).`);
+}
+
+// ----------------------------------------------------------------------------
+// REPLAY PLAYBACK
+// ----------------------------------------------------------------------------
+// Options that change what gets judged or shown; saved with each replay and restored for playback
+const REPLAY_OPTION_KEYS = [
+    'modifier', 'battleMode', 'gaugeType', 'gaugeAutoShift', 'gasMinGauge', 'lnMode',
+    'judgeOffset', 'autoOffset', 'assistMode', 'assistExpandJudge', 'assistAutoScratch',
+    'assistRegularSpeed', 'assistNoMines', 'speed', 'hiSpeedFix', 'greenFix', 'targetDuration',
+    'targetGreenNumber', 'rangeMode', 'suddenPlus', 'lift', 'visibilityMode'
+];
+const REPLAY_SEEK_MS = 5000;    // Arrow key jump
+const REPLAY_SEEK_STEP_MS = 8;  // Simulation step while skipping ahead
+
+function captureReplayOptions() {
+    const options = {};
+    REPLAY_OPTION_KEYS.forEach(k => options[k] = STATE[k]);
+    return options;
+}
+
+/**
+ * Puts the replay's recorded options back. Needed on every (re)start: AUTO ADJUST
+ * moves judgeOffset during playback, which would otherwise carry into a restart.
+ */
+function applyReplayOptions(replay) {
+    REPLAY_OPTION_KEYS.forEach(k => {
+        if (replay.options[k] !== undefined) STATE[k] = replay.options[k];
+    });
+}
+
+async function startReplay() {
+    if (STATE.isPlaying || STATE.isStarting || !STATE.currentFileRef) return;
+
+    const replay = await loadReplay(STATE.currentFileRef, STATE.selectedReplaySlot);
+    if (!replay || !Array.isArray(replay.input)) return;
+
+    const md5 = STATE.loadedSong && STATE.loadedSong.md5;
+    if (replay.md5 && md5 && replay.md5 !== md5) {
+        showMessage('Replay', 'This replay was recorded on a different version of the chart and cannot be played back.');
+        return;
+    }
+
+    STATE.replayRestore = Object.assign(captureReplayOptions(), { autoplay: STATE.autoplay });
+    applyReplayOptions(replay);
+    STATE.replay = replay;
+    STATE.isReplay = true;
+    STATE.isStarting = true;
+    STATE.autoplay = false;
+
+    stopSelectBgm();
+    enterGame();
+}
+
+function endReplay() {
+    if (STATE.replayRestore) Object.assign(STATE, STATE.replayRestore);
+    STATE.replayRestore = null;
+    STATE.replay = null;
+    STATE.isReplay = false;
+    STATE.replaySeekTarget = 0;
+}
+
+/**
+ * Feeds recorded key events up to song time `now` through the live judgement path.
+ */
+function feedReplayInput(now) {
+    const log = STATE.replayLog;
+    while (STATE.replayCursor < log.length && log[STATE.replayCursor].t <= now) {
+        const ev = log[STATE.replayCursor++];
+
+        // The recorded play was quit here
+        if (ev.k === 'Escape' && ev.d) {
+            STATE.isPlaying = false;
+            stopAllAudio();
+            showResults(false, 'ABORT');
+            return;
+        }
+
+        // Bound actions at record time; key code lookup for replays recorded without them
+        const actions = ev.a || STATE.keyCodeToAction[ev.k];
+        if (!actions) continue;
+        const judgeNow = ev.t - (STATE.judgeOffset || 0);
+        // Mines up to this event see the keys held before it, not the ones held at frame time
+        updateMines(judgeNow);
+        if (!STATE.isPlaying) return;
+        actions.forEach(action => {
+            if (ev.d) {
+                STATE.activeActions.add(action);
+                handleLanePress(action, judgeNow);
+            } else {
+                STATE.activeActions.delete(action);
+                handleLaneRelease(action, judgeNow);
+            }
+        });
+        if (!STATE.isPlaying) return;
+    }
+}
+
+/**
+ * Jumps the replay by `deltaMs`. Forward jumps simulate the skipped span silently, then
+ * resume any BGM still sounding at the target; backward jumps restart the replay and
+ * skip ahead to the target.
+ */
+function seekReplay(deltaMs) {
+    const now = getSongTime();
+    const target = Math.max(0, now + deltaMs);
+
+    if (target < now) {
+        STATE.replaySeekTarget = target;
+        STATE.isPlaying = false;
+        STATE.isStarting = true;
+        stopAllAudio();
+        applyReplayOptions(STATE.replay);
+        enterGame();
+        return;
+    }
+
+    stopAllAudio();
+    STATE.isSeeking = true;
+    for (let t = now; t < target && STATE.isPlaying;) {
+        t = Math.min(target, t + REPLAY_SEEK_STEP_MS);
+        updateGameLogic(t);
+    }
+    STATE.isSeeking = false;
+    if (!STATE.isPlaying) return; // The recorded play ended inside the skipped span
+    setSongTime(target);
+
+    // Nothing skipped may be queued late by the scheduler
+    const notes = STATE.loadedSong.notes;
+    while (STATE.keySoundCursor < notes.length && notes[STATE.keySoundCursor].time < target) STATE.keySoundCursor++;
+    resumeBgmAt(target);
+}
+
+// ----------------------------------------------------------------------------
+// PRACTICE MODE
+// ----------------------------------------------------------------------------
+const PRACTICE_LEAD_MS = 2000; // Song time shown before the section starts
+const PRACTICE_TAIL_MS = 1000; // Song time after the last note of the section before it loops
+
+function openPracticeModal() {
+    if (!STATE.loadedSong || STATE.isPlaying || STATE.isStarting) return;
+    const times = STATE.loadedSong.measureTimes || [];
+    const lastMeasure = Math.max(0, times.length - 2);
+
+    const startEl = document.getElementById('practice-start');
+    const endEl = document.getElementById('practice-end');
+    startEl.max = lastMeasure;
+    endEl.max = lastMeasure;
+    if (parseInt(startEl.value) > lastMeasure) startEl.value = 0;
+    if (!(parseInt(endEl.value) > 0) || parseInt(endEl.value) > lastMeasure) endEl.value = lastMeasure;
+    document.getElementById('practice-last').textContent = lastMeasure;
+
+    STATE.isPracticeOpen = true;
+    document.getElementById('modal-practice').classList.add('open');
+}
+
+function closePracticeModal() {
+    STATE.isPracticeOpen = false;
+    document.getElementById('modal-practice').classList.remove('open');
+}
+
+function startPractice() {
+    if (STATE.isPlaying || STATE.isStarting || !STATE.loadedSong) return;
+    const times = STATE.loadedSong.measureTimes || [];
+    if (times.length < 2) {
+        showMessage('Practice', 'No measure data for this chart. Rescan the library and try again.');
+        return;
+    }
+
+    const lastMeasure = times.length - 2;
+    const clampMeasure = v => Math.max(0, Math.min(lastMeasure, parseInt(v) || 0));
+    const startMeasure = clampMeasure(document.getElementById('practice-start').value);
+    const endMeasure = Math.max(startMeasure, clampMeasure(document.getElementById('practice-end').value));
+    const gauge = document.getElementById('practice-gauge').checked;
+
+    STATE.practiceRestore = {
+        gaugeType: STATE.gaugeType,
+        gaugeAutoShift: STATE.gaugeAutoShift,
+        autoplay: STATE.autoplay
+    };
+    if (!gauge) {
+        // No fail
+        STATE.gaugeType = 'ASSIST';
+        STATE.gaugeAutoShift = 'NONE';
+    }
+    STATE.autoplay = false;
+    STATE.practice = {
+        startMeasure,
+        endMeasure,
+        startTime: times[startMeasure],
+        endTime: times[endMeasure + 1],
+        finishTime: 0,
+        loop: document.getElementById('practice-loop').checked,
+        rate: parseFloat(document.getElementById('practice-rate').value) || 1,
+        pitch: document.getElementById('practice-pitch').value,
+        saveScore: document.getElementById('practice-save').checked,
+        loops: [] // Accuracy (%) of each finished pass
+    };
+
+    closePracticeModal();
+    STATE.isStarting = true;
+    stopSelectBgm();
+    enterGame();
+}
+
+function endPractice() {
+    if (STATE.practiceRestore) Object.assign(STATE, STATE.practiceRestore);
+    STATE.practiceRestore = null;
+    STATE.practice = null;
+    STATE.playbackRate = 1;
+    STATE.practiceBuffers = null;
+    const el = document.getElementById('hud-practice');
+    if (el) el.style.display = 'none';
+}
+
+/**
+ * Rewinds to the lead-in of the practice section and starts a fresh pass.
+ * Notes outside the section are marked hit so they are never judged.
+ */
+function startPracticeLoop() {
+    const p = STATE.practice;
+    const song = STATE.loadedSong;
+    const from = p.startTime - PRACTICE_LEAD_MS;
+
+    stopAllAudio();
+    STATE.heldNotes = [];
+    STATE.activeActions.clear();
+
+    let count = 0;
+    let lnCount = 0;
+    p.finishTime = p.endTime;
+    song.notes.forEach(n => {
+        const inSection = n.time >= p.startTime && n.time < p.endTime;
+        n.hit = !inSection;
+        n.isMissed = false;
+        n.missTime = undefined;
+        n.holding = n.lnActive = n.isAutoHold = n.tailJudged = false;
+        if (!inSection) return;
+        count++;
+        if (n.endTime !== undefined) {
+            lnCount++;
+            p.finishTime = Math.max(p.finishTime, n.endTime);
+        }
+    });
+    p.finishTime += PRACTICE_TAIL_MS;
+    STATE.totalJudgeCount = count + (STATE.lnMode === 'LN' ? 0 : lnCount);
+    STATE.gaugeTick = song.total / Math.max(1, getTotalJudgeCount());
+
+    // Cursors: skip everything before the lead-in without playing it
+    const firstAt = (list, time) => {
+        const i = list.findIndex(e => e.time >= time);
+        return i === -1 ? list.length : i;
+    };
+    STATE.bgmCursor = firstAt(song.bgm, from);
+    STATE.keySoundCursor = firstAt(song.notes, from);
+    STATE.bgaCursor = firstAt(song.bgaEvents, from);
+    STATE.mineCursor = firstAt(song.mines, p.startTime);
+    STATE.bpmCursor = firstAt(song.bpmEvents, from);
+    STATE.currentBpm = STATE.bpmCursor > 0 ? song.bpmEvents[STATE.bpmCursor - 1].bpm : song.initialBpm;
+    const rankEvents = song.judgeRankEvents || [];
+    STATE.judgeRankCursor = firstAt(rankEvents, from);
+    STATE.judgeRank = STATE.judgeRankCursor > 0 ? rankEvents[STATE.judgeRankCursor - 1].judgeRank : getChartJudgeRank(song);
+    STATE.volumeCursor = firstAt(song.volumeEvents || [], from);
+    STATE.chartVolume = chartVolumeAt(song, from);
+    applyChartVolume();
+    STATE.logicCursor = 0;
+    updateGreenWhiteNumbers();
+
+    // Each pass is scored on its own
+    STATE.score = 0;
+    STATE.combo = 0;
+    STATE.currentMaxScore = 0;
+    STATE.judgeCounts = { pgreat: 0, great: 0, good: 0, bad: 0, poor: 0 };
+    STATE.fastSlow = { fast: 0, slow: 0 };
+    STATE.comboBreaks = 0;
+    STATE.judgeLog = [];
+    STATE.gaugeValues = null;
+    STATE.gauge = ['HARD', 'EXHARD', 'HAZARD'].includes(STATE.gaugeType) ? 100 : 20;
+    STATE.history = { gauge: [], score: [] };
+
+    setSongTime(from);
+    resumeBgmAt(from);
+    updatePracticeHud();
+    markHudDirty();
+}
+
+// Time-stretch (Rate Audio: Keep pitch)
+const STRETCH_FRAME_MS = 40; // WSOLA frame; each frame overlaps the next by half
+const STRETCH_SEEK_MS = 8;   // How far a frame may move to line up with the previous one
+const STRETCH_COARSE_STEP = 8; // Samples between candidates in the first search pass
+
+/**
+ * WSOLA time-stretch: a copy of `buffer` lasting 1/rate as long at the same pitch.
+ * Each output frame is read from near its nominal input position, nudged to the offset
+ * that best matches the audio following the previous frame so the overlap adds in phase.
+ */
+function timeStretchBuffer(buffer, rate) {
+    const sr = buffer.sampleRate;
+    const hop = Math.max(8, Math.round(sr * STRETCH_FRAME_MS / 2000)); // Output hop
+    const frame = hop * 2;
+    const seek = Math.round(sr * STRETCH_SEEK_MS / 1000);
+    const inLen = buffer.length;
+    const outLen = Math.max(1, Math.ceil(inLen / rate));
+
+    // Zero padding so frames and the seek range never read past the end
+    const padded = inLen + 2 * frame + 2 * seek;
+    const channels = [];
+    const mix = new Float32Array(padded); // Channel sum, only used to line frames up
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = new Float32Array(padded);
+        data.set(buffer.getChannelData(c));
+        for (let i = 0; i < inLen; i++) mix[i] += data[i];
+        channels.push(data);
+    }
+    // Hann windows at 50% overlap sum to 1, so no gain correction is needed
+    const hann = new Float32Array(frame);
+    for (let i = 0; i < frame; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frame);
+    const similarity = (a, b) => {
+        let sum = 0;
+        for (let i = 0; i < hop; i += 4) sum += mix[a + i] * mix[b + i];
+        return sum;
+    };
+
+    const out = audioCtx.createBuffer(buffer.numberOfChannels, outLen, sr);
+    const outData = channels.map((_, c) => out.getChannelData(c));
+    let prev = 0;
+    for (let k = 0, outPos = 0; outPos < outLen; k++, outPos += hop) {
+        let pos = 0;
+        if (k > 0) {
+            const natural = prev + hop; // Where the previous frame would have carried on
+            const target = Math.round(k * hop * rate);
+            let best = similarity(target, natural);
+            pos = target;
+            // Coarse pass over the seek range, then sample by sample around the best match
+            const search = (from, to, step) => {
+                for (let p = Math.max(0, from); p <= to; p += step) {
+                    const score = similarity(p, natural);
+                    if (score > best) {
+                        best = score;
+                        pos = p;
+                    }
+                }
+            };
+            search(target - seek, target + seek, STRETCH_COARSE_STEP);
+            search(pos - STRETCH_COARSE_STEP + 1, pos + STRETCH_COARSE_STEP - 1, 1);
+        }
+        prev = pos;
+
+        const n = Math.min(frame, outLen - outPos);
+        for (let c = 0; c < channels.length; c++) {
+            const src = channels[c];
+            const dst = outData[c];
+            for (let i = 0; i < n; i++) {
+                // The first frame keeps its attack instead of fading in
+                const w = (k === 0 && i < hop) ? 1 : hann[i];
+                dst[outPos + i] += src[pos + i] * w;
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * IDs the practice section can sound between song times `from` and `to`: everything
+ * triggered in range, anything still ringing at `from`, each channel's last keysound
+ * before it (empty presses) and the mine sound.
+ */
+function practiceSoundIds(song, from, to) {
+    const ids = new Set(['00']);
+    const lastBefore = {};
+    const add = (e) => {
+        const buffer = STATE.audioBuffers[e.id];
+        if (!buffer || e.time > to) return;
+        if (e.time >= from || e.time + buffer.duration * 1000 > from) ids.add(e.id);
+    };
+    song.bgm.forEach(add);
+    song.notes.forEach(n => {
+        add(n);
+        if (n.endId && n.time <= to) ids.add(n.endId);
+        if (n.time < from) lastBefore[n.ch] = n.id;
+    });
+    song.invisibleNotes.forEach(n => {
+        add(n);
+        if (n.time < from) lastBefore[n.lane] = n.id;
+    });
+    Object.values(lastBefore).forEach(id => ids.add(id));
+    return ids;
+}
+
+/**
+ * Time-stretched copies of the sounds the practice section can play, for Rate Audio: Keep pitch.
+ * Runs behind the loading screen and yields between sounds so the progress bar keeps moving.
+ */
+async function stretchPracticeBuffers(song, practice) {
+    const from = practice.startTime - PRACTICE_LEAD_MS;
+    let to = practice.endTime;
+    song.notes.forEach(n => {
+        if (n.endTime !== undefined && n.time < practice.endTime) to = Math.max(to, n.endTime);
+    });
+    to += PRACTICE_TAIL_MS;
+
+    const ids = [...practiceSoundIds(song, from, to)].filter(id => STATE.audioBuffers[id]);
+    const stretched = {};
+    ui.loadingStatus.textContent = 'Time-stretching audio...';
+    for (let i = 0; i < ids.length; i++) {
+        stretched[ids[i]] = timeStretchBuffer(STATE.audioBuffers[ids[i]], practice.rate);
+        ui.loadingBar.style.width = `${Math.round((i + 1) / ids.length * 100)}%`;
+        await new Promise(r => setTimeout(r, 0));
+    }
+    return stretched;
+}
+
+function recordPracticeLoop() {
+    const maxEx = getTotalJudgeCount() * 2;
+    const accuracy = maxEx > 0 ? (STATE.score / maxEx) * 100 : 0;
+    STATE.practice.loops.push(accuracy);
+    if (STATE.practice.saveScore) savePracticeRecord(STATE.currentFileRef, STATE.practice, accuracy);
+}
+
+function updatePracticeHud() {
+    const el = document.getElementById('hud-practice');
+    if (!el) return;
+    const p = STATE.practice;
+    if (!p) {
+        el.style.display = 'none';
+        return;
+    }
+
+    let text = `PRACTICE M${p.startMeasure}-${p.endMeasure}  ${p.rate.toFixed(2)}x`;
+    if (p.loops.length > 0) {
+        const last = p.loops[p.loops.length - 1];
+        const best = Math.max(...p.loops);
+        text += `  |  LOOP ${p.loops.length + 1}  |  LAST ${last.toFixed(2)}%  BEST ${best.toFixed(2)}%`;
+    }
+    if (p.saveScore) {
+        const record = getPracticeRecord(STATE.currentFileRef, p);
+        if (record.passes > 0) text += `  |  RECORD ${record.best.toFixed(2)}%`;
+    }
+    el.textContent = text;
+    el.style.display = 'block';
+}
+
 // ----------------------------------------------------------------------------
 // RESULTS SYSTEM
 // ----------------------------------------------------------------------------
@@ -5036,11 +7408,17 @@ function showResults(isClear, statusText) {
     STATE.isPlaying = false;
     STATE.isResults = true;
 
+    // AUTO ADJUST during replay playback only reproduces the recorded offset
+    if (STATE.autoOffsetChanged) {
+        STATE.autoOffsetChanged = false;
+        if (!STATE.isReplay) _saveOptions();
+    }
+
     if (isClear) playSystemSound('clear');
     else if (statusText !== 'ABORT') playSystemSound('fail');
 
     // Calculate score data for saving
-    const maxEx = STATE.loadedSong.notes.length * 2;
+    const maxEx = getTotalJudgeCount() * 2;
     const percent = (STATE.score / Math.max(1, maxEx)) * 100;
     const rank = calculateRank(percent);
     const lamp = determineClearLamp(isClear);
@@ -5051,7 +7429,13 @@ function showResults(isClear, statusText) {
         STATE.assistAutoScratch || STATE.assistBPMGuide ||
         STATE.assistNoMines || STATE.battleMode !== 'OFF';
 
-    if (!isAssistActive) {
+    if (STATE.isReplay) {
+        STATE.activeActions.clear(); // Keys still held by the replay must not drive the results screen
+        console.log('[LOG] Replay Playback - Score Saving Disabled');
+    } else if (STATE.practice) {
+        // Passes go to practice.db as they finish (recordPracticeLoop)
+        console.log('[LOG] Practice - Chart Score Not Saved');
+    } else if (!isAssistActive) {
         // Save score data (only overwrites individual values if higher)
         saveScore(STATE.currentFileRef, STATE.score, percent, rank, lamp.id);
         // Also save lamp separately for backward compatibility with lamp display
@@ -5061,12 +7445,13 @@ function showResults(isClear, statusText) {
     }
 
     const isFC = (STATE.comboBreaks === 0 && STATE.judgeCounts.bad === 0 && STATE.judgeCounts.poor === 0);
-    if (!isAssistActive) {
-        saveReplay(STATE.currentFileRef, STATE.inputLog, STATE.score, lamp, isFC);
+    // Practice sections and rates cannot be represented in a replay
+    if (!isAssistActive && !STATE.isReplay && !STATE.practice) {
+        saveReplay(STATE.currentFileRef, STATE.inputLog, STATE.judgeLog, STATE.score, lamp, isFC);
     }
 
     // Submit to Tachi IR (if enabled and not autoplay and no assists)
-    if (!STATE.autoplay && !isAssistActive && typeof TachiIR !== 'undefined' && TachiIR.isTachiEnabled()) {
+    if (!STATE.autoplay && !STATE.isReplay && !STATE.practice && !isAssistActive && typeof TachiIR !== 'undefined' && TachiIR.isTachiEnabled()) {
         // Determine playtype from key mode
         const keyMode = STATE.loadedSong.keyMode || '7';
         let playtype = '7K';
@@ -5151,7 +7536,7 @@ function showResults(isClear, statusText) {
     // Actually handleJudgment pushes diff (which might be undefined for timeout POORs?)
     // handleJudgment calls showJudge, which uses diff. 
     // Miss detection passes diff > win.BD.
-    const diffs = STATE.inputLog.map(x => x.diff).filter(d => typeof d === 'number');
+    const diffs = STATE.judgeLog.map(x => x.diff).filter(d => typeof d === 'number');
     if (diffs.length > 0) {
         const sum = diffs.reduce((a, b) => a + b, 0);
         meanError = sum / diffs.length;
@@ -5311,6 +7696,8 @@ function showResults(isClear, statusText) {
 
     function exitToSelect() {
         STATE.isResults = false;
+        if (STATE.isReplay) endReplay();
+        if (STATE.practice) endPractice();
         document.getElementById('screen-select').style.display = 'flex';
         if (!STATE.selectBgmSource) {
             STATE.selectBgmSource = playSystemSound('select', true);
@@ -5414,8 +7801,8 @@ function determineClearLamp(isClear) {
     // CRITICAL: Check failure FIRST before any clear lamp logic
     if (!isClear) return LAMPS.FAILED;
 
-    const maxEx = STATE.loadedSong.notes.length * 2;
-    const isPerfect = (STATE.judgeCounts.pgreat === STATE.loadedSong.notes.length);
+    const maxEx = getTotalJudgeCount() * 2;
+    const isPerfect = (STATE.judgeCounts.pgreat === getTotalJudgeCount());
     const isNoBadPoor = (STATE.judgeCounts.bad === 0 && STATE.judgeCounts.poor === 0);
     const isFC = (STATE.comboBreaks === 0 && isNoBadPoor);
     const onlyPGGR = (STATE.judgeCounts.good === 0 && STATE.judgeCounts.bad === 0 && STATE.judgeCounts.poor === 0);
@@ -5638,12 +8025,89 @@ function drawGaugeGraph(canvasId, data, range, threshold, gaugeType) {
 // ----------------------------------------------------------------------------
 // INPUT
 // ----------------------------------------------------------------------------
+/**
+ * Judges a lane press at judge time `now` (live keys and replay playback share this path).
+ */
+function handleLanePress(action, now) {
+    const targets = ACTION_TO_CHANNELS[action];
+    if (!targets) return;
+
+    const win = getJudgeWindow();
+
+    // [HCN] Re-grabbing a dropped hell charge note stops the drain (no new judgement)
+    const dropped = STATE.heldNotes.find(n => !n.holding && targets.includes(n.ch) && now < n.endTime);
+    if (dropped) {
+        dropped.holding = true;
+        return;
+    }
+
+    // OPTIMIZED: Sliding window note lookup instead of full array scan
+    // Uses logicCursor to limit search range from O(n) to O(~150) constant time
+    const notes = STATE.loadedSong.notes;
+    const scanStart = Math.max(0, (STATE.logicCursor || 0) - 20);
+    const scanEnd = Math.min(notes.length, (STATE.logicCursor || 0) + 150);
+
+    let noteIdx = -1;
+    for (let i = scanStart; i < scanEnd; i++) {
+        const n = notes[i];
+        if (!n.hit && targets.includes(n.ch) && Math.abs(now - n.time) <= win.BD) {
+            noteIdx = i;
+            break;
+        }
+    }
+
+    if (noteIdx !== -1) {
+        const note = notes[noteIdx];
+        note.hit = true;
+        // An auto-scratch note's sound may already be queued by the audio scheduler
+        if (noteIdx >= STATE.keySoundCursor || !isAutoHitNote(note)) playSound(note.id, 'key', note);
+        const diff = now - note.time;
+        const absDiff = Math.abs(diff);
+        let res = 'BAD';
+        if (absDiff <= win.PG) res = 'PGREAT';
+        else if (absDiff <= win.GR) res = 'GREAT';
+        else if (absDiff <= win.GD) res = 'GOOD';
+        if (note.endTime !== undefined) startLongNote(note, res, diff);
+        else handleJudgment(res, diff);
+    } else {
+        // OPTIMIZED: Same sliding window for empty poor detection
+        let hasUpcoming = false;
+        for (let i = scanStart; i < scanEnd; i++) {
+            const n = notes[i];
+            const timeDiff = n.time - now;
+            if (!n.hit && targets.includes(n.ch) && timeDiff > win.BD && timeDiff <= 1000) {
+                hasUpcoming = true;
+                break;
+            }
+        }
+        if (hasUpcoming) {
+            handleJudgment('POOR', 0, true);
+        }
+        playLaneKeysound(targets[0], now, win);
+    }
+}
+
+/**
+ * Releases a held long note on the lane at judge time `now`.
+ */
+function handleLaneRelease(action, now) {
+    if (STATE.heldNotes.length === 0) return;
+    const targets = ACTION_TO_CHANNELS[action];
+    const held = targets && STATE.heldNotes.find(n => n.holding && !n.isAutoHold && targets.includes(n.ch));
+    if (held) releaseLongNote(held, now);
+}
+
 window.addEventListener('keydown', e => {
     // Handle Escape key first (before actions check)
     if (e.code === 'Escape' && STATE.isPlaying) {
         const screenGame = document.getElementById('screen-game');
         if (screenGame.classList.contains('fade-out')) return;
 
+        // Recorded so replay playback quits at the same point
+        if (!STATE.autoplay && !STATE.isReplay) {
+            STATE.inputLog.push({ t: getSongTime(), k: e.code, d: true });
+        }
+
         // Block inputs during fade out
         STATE.isFadingOut = true;
         STATE.isPlaying = false; // Stop game loop
@@ -5652,7 +8116,7 @@ window.addEventListener('keydown', e => {
         // Check if should skip results screen
         // Only count actual hits (not misses/POOR) - BAD is still a hit
         const notesActuallyHit = STATE.judgeCounts.pgreat + STATE.judgeCounts.great + STATE.judgeCounts.good + STATE.judgeCounts.bad;
-        const skipResults = STATE.autoplay || notesActuallyHit === 0;
+        const skipResults = STATE.autoplay || STATE.isCalibrating || STATE.isReplay || STATE.practice || notesActuallyHit === 0;
 
         setTimeout(() => {
             stopAllAudio();
@@ -5660,6 +8124,9 @@ window.addEventListener('keydown', e => {
             screenGame.classList.remove('fade-out');
 
             if (skipResults) {
+                if (STATE.isCalibrating) endCalibration();
+                if (STATE.isReplay) endReplay();
+                if (STATE.practice) endPractice();
                 // Return directly to song select without results
                 screenGame.style.display = 'none';
                 document.getElementById('screen-select').style.display = 'flex';
@@ -5712,18 +8179,43 @@ window.addEventListener('keydown', e => {
     // Block all inputs during fade out animation
     if (STATE.isFadingOut) return;
 
+    // Replay playback ignores live input; arrow keys seek (hold to fast-forward)
+    if (STATE.isReplay && STATE.isPlaying) {
+        if (e.code === 'ArrowRight' || e.code === 'ArrowLeft') {
+            e.preventDefault();
+            seekReplay(e.code === 'ArrowRight' ? REPLAY_SEEK_MS : -REPLAY_SEEK_MS);
+        }
+        return;
+    }
+
     // Replay Recording
     if (STATE.isPlaying && !STATE.autoplay && !e.repeat) {
+        const t = getSongTime();
+        // Mines up to the press see the keys held before it, the same as replay playback
+        updateMines(t - (STATE.judgeOffset || 0));
         STATE.inputLog.push({
-            t: (audioCtx.currentTime - STATE.startTime) * 1000,
+            t,
             k: e.code,
+            a: STATE.keyCodeToAction[e.code],
             d: true
         });
     }
 
+    if (STATE.isPracticeOpen && e.code === 'Escape') {
+        playSystemSound('o-close');
+        closePracticeModal();
+        return;
+    }
+
+    // Notice modal: Enter/Escape dismiss it, nothing else reaches song select
+    if (!STATE.isPlaying && document.getElementById('modal-message').classList.contains('open')) {
+        if (e.code === 'Enter' || e.code === 'Escape') document.getElementById('btn-close-message').click();
+        return;
+    }
+
     // Arrow keys for song navigation (song select only)
     // Arrow keys for song navigation (song select only)
-    if (!STATE.isPlaying && !STATE.isStarting && !STATE.isOptionsOpen && !STATE.isDecideActive && !STATE.isResults && !STATE.isFadingOut && !STATE.isFailedScreen) {
+    if (!STATE.isPlaying && !STATE.isStarting && !STATE.isOptionsOpen && !STATE.isDecideActive && !STATE.isResults && !STATE.isFadingOut && !STATE.isFailedScreen && !STATE.isPracticeOpen) {
         if (e.code === 'ArrowUp') {
             e.preventDefault();
             STATE.selectedIndex = (STATE.selectedIndex - 1 + STATE.currentList.length) % STATE.currentList.length;
@@ -5807,7 +8299,7 @@ window.addEventListener('keydown', e => {
 
     // Immediate START open (if Settings not open)
     if (actions.includes(ACTIONS.START) && !STATE.isPlaying) {
-        if (ui.modalSettings.classList.contains('open')) return; // Block if Settings is open
+        if (ui.modalSettings.classList.contains('open') || STATE.isPracticeOpen) return; // Block if Settings / Practice is open
         if (!STATE.isOptionsOpen) {
             playSystemSound('o-open'); // SFX Fix
             STATE.isOptionsOpen = true;
@@ -5975,7 +8467,7 @@ window.addEventListener('keydown', e => {
         });
     }
 
-    if (ui.modalSettings.classList.contains('open')) {
+    if (ui.modalSettings.classList.contains('open') || STATE.isPracticeOpen) {
         return;
     }
 
@@ -6064,66 +8556,7 @@ window.addEventListener('keydown', e => {
 
         if (!STATE.isPlaying || e.repeat) return;
 
-        const targets = ACTION_TO_CHANNELS[action];
-        if (!targets) return;
-
-        const now = (audioCtx.currentTime - STATE.startTime) * 1000;
-        let win = JUDGE_WINDOWS[STATE.loadedSong.rank] || JUDGE_WINDOWS[3];
-
-        // [ASSIST] Expand Judge: 4x timing windows (based on user request)
-        if (STATE.assistExpandJudge) {
-            win = {
-                PG: win.PG * 4.0,
-                GR: win.GR * 4.0,
-                GD: win.GD * 4.0,
-                BD: win.BD * 4.0,
-                PR: win.PR
-            };
-        } else if (STATE.assistMode === 'EX-JUDGE' || STATE.assistMode === 'BOTH') {
-            win = { PG: win.PG * 1.5, GR: win.GR * 1.5, GD: win.GD * 1.5, BD: win.BD * 1.5, PR: win.PR };
-        }
-
-        // OPTIMIZED: Sliding window note lookup instead of full array scan
-        // Uses logicCursor to limit search range from O(n) to O(~150) constant time
-        const notes = STATE.loadedSong.notes;
-        const scanStart = Math.max(0, (STATE.logicCursor || 0) - 20);
-        const scanEnd = Math.min(notes.length, (STATE.logicCursor || 0) + 150);
-
-        let noteIdx = -1;
-        for (let i = scanStart; i < scanEnd; i++) {
-            const n = notes[i];
-            if (!n.hit && targets.includes(n.ch) && Math.abs(now - n.time) <= win.BD) {
-                noteIdx = i;
-                break;
-            }
-        }
-
-        if (noteIdx !== -1) {
-            const note = notes[noteIdx];
-            note.hit = true;
-            playSound(note.id, 'key');
-            const diff = now - note.time;
-            const absDiff = Math.abs(diff);
-            let res = 'BAD';
-            if (absDiff <= win.PG) res = 'PGREAT';
-            else if (absDiff <= win.GR) res = 'GREAT';
-            else if (absDiff <= win.GD) res = 'GOOD';
-            handleJudgment(res, diff);
-        } else {
-            // OPTIMIZED: Same sliding window for empty poor detection
-            let hasUpcoming = false;
-            for (let i = scanStart; i < scanEnd; i++) {
-                const n = notes[i];
-                const timeDiff = n.time - now;
-                if (!n.hit && targets.includes(n.ch) && timeDiff > win.BD && timeDiff <= 1000) {
-                    hasUpcoming = true;
-                    break;
-                }
-            }
-            if (hasUpcoming) {
-                handleJudgment('POOR', 0, true);
-            }
-        }
+        handleLanePress(action, getJudgeNow());
     });
 });
 
@@ -6153,11 +8586,17 @@ window.addEventListener('keyup', e => {
     }
     const actions = STATE.keyCodeToAction[e.code];
 
+    // Replay playback owns the lanes
+    if (STATE.isReplay && STATE.isPlaying) return;
+
     // Replay Recording (Release)
     if (STATE.isPlaying && !STATE.autoplay) {
+        const t = getSongTime();
+        updateMines(t - (STATE.judgeOffset || 0));
         STATE.inputLog.push({
-            t: (audioCtx.currentTime - STATE.startTime) * 1000,
+            t,
             k: e.code,
+            a: STATE.keyCodeToAction[e.code],
             d: false
         });
     }
@@ -6179,6 +8618,9 @@ window.addEventListener('keyup', e => {
     actions.forEach(action => {
         STATE.activeActions.delete(action);
 
+        // Long note release
+        if (STATE.isPlaying) handleLaneRelease(action, getJudgeNow());
+
         if (action === ACTIONS.START) {
             const optionsWereOpen = STATE.isOptionsOpen;
             // Close options on release (if held or if we're tapping to close)
@@ -6198,7 +8640,7 @@ window.addEventListener('keyup', e => {
         // White keys to start game
         if ([ACTIONS.P1_1, ACTIONS.P1_3, ACTIONS.P1_5, ACTIONS.P1_7,
         ACTIONS.P2_1, ACTIONS.P2_3, ACTIONS.P2_5, ACTIONS.P2_7].includes(action)) {
-            if (!STATE.isPlaying && !STATE.isStarting && !STATE.isOptionsOpen && !STATE.isResults) {
+            if (!STATE.isPlaying && !STATE.isStarting && !STATE.isOptionsOpen && !STATE.isResults && !STATE.isPracticeOpen) {
                 if (ui.btnStart.disabled === false) triggerDecideScreen(false);
             }
         }
@@ -6235,6 +8677,7 @@ window.addEventListener('resize', resize);
     await loadPlayerOptionsAsync();
     await loadSystemSounds();
     initAdvancedOptions();
+    applyAudioOutputDevice();
 
     // Load Judgement Image
     STATE.judgementImage = new Image();
@@ -8,6 +8,8 @@ const url = require('url');
 const http = require('http');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
+const { detectEncoding } = require('./EncodingUtils');
+const { bmsonKeyMode } = require('./BmsonUtils');
 
 // Set ffmpeg path
 if (ffmpegPath) {
@@ -26,6 +28,32 @@ const inferDifficulty = (title, filename) => {
     return 0; // Unknown fallback
 };
 
+// Decodes a chart/course file with its detected encoding
+const decodeText = (content) => {
+    const encoding = detectEncoding(content);
+    return { text: iconv.decode(content, encoding), encoding };
+};
+
+// bmson Metadata Helper (JSON charts, always UTF-8)
+const readBmsonMetadata = (text, file) => {
+    const bmson = JSON.parse(text.replace(/^\uFEFF/, ''));
+    const info = bmson.info || {};
+    // Notes on lane 0 (or without x) are BGM
+    let noteCount = 0;
+    (bmson.sound_channels || []).forEach(sc => {
+        (sc.notes || []).forEach(n => { if (n.x > 0) noteCount++; });
+    });
+    const title = info.title ? String(info.title).trim() : 'Unknown';
+    return {
+        title,
+        artist: info.artist ? String(info.artist).trim() : 'Unknown',
+        difficulty: inferDifficulty(`${title} ${info.chart_name || ''}`, path.basename(file, path.extname(file))),
+        level: parseInt(info.level) || 0,
+        keyMode: bmsonKeyMode(info),
+        noteCount
+    };
+};
+
 // Global Streaming Server
 let streamServer;
 let streamPort = 0;
@@ -276,7 +304,7 @@ ipcMain.handle('scan-library', async () => {
 
     const rootDir = result.filePaths[0];
     // Find all BMS files recursively
-    const files = await glob.glob('**/*.+(bms|bme|bml|pms)', { cwd: rootDir, nocase: true, absolute: true });
+    const files = await glob.glob('**/*.+(bms|bme|bml|pms|bmson)', { cwd: rootDir, nocase: true, absolute: true });
 
     const songs = [];
 
@@ -285,61 +313,66 @@ ipcMain.handle('scan-library', async () => {
         try {
             const content = await fs.readFile(file);
             const md5 = calculateMD5(content);
-            // Decode as Shift-JIS (most common encoding for BMS files)
-            const text = iconv.decode(content, 'Shift_JIS');
-
-            const titleMatch = text.match(/#TITLE\s+(.+)/i);
-            const artistMatch = text.match(/#ARTIST\s+(.+)/i);
-            const diffMatch = text.match(/#DIFFICULTY\s+(\d+)/i);
-            const levelMatch = text.match(/#PLAYLEVEL\s+(\d+)/i);
-
-            // Detect key mode
-            let keyMode = '7'; // Default
-            const isPMS = file.toLowerCase().endsWith('.pms');
-            const playerMatch = text.match(/#PLAYER\s+(\d+)/i);
-            const player = playerMatch ? parseInt(playerMatch[1]) : 1;
-
-            const has2PChannels = text.match(/#\d{3}2[1-9]:/); // 21-29
-
-            if (isPMS) {
-                keyMode = '9';
-            } else if (player === 3 || has2PChannels) {
-                const hasP1_Ext = text.match(/#\d{3}1[89]:/); // P1 6,7
-                const hasP2_Left = text.match(/#\d{3}2[12]:/); // P2 1,2
-                const hasP2_Right = text.match(/#\d{3}2[89]:/); // P2 6,7
-
-                if (hasP1_Ext || (hasP2_Left && hasP2_Right)) {
-                    keyMode = '14';
+            if (file.toLowerCase().endsWith('.bmson')) {
+                songs.push({ path: file, rootDir: rootDir, md5, encoding: 'utf-8', ...readBmsonMetadata(content.toString('utf8'), file) });
+            } else {
+                // Shift_JIS is most common, but UTF-8 and EUC-KR charts exist too
+                const { text, encoding } = decodeText(content);
+
+                const titleMatch = text.match(/#TITLE\s+(.+)/i);
+                const artistMatch = text.match(/#ARTIST\s+(.+)/i);
+                const diffMatch = text.match(/#DIFFICULTY\s+(\d+)/i);
+                const levelMatch = text.match(/#PLAYLEVEL\s+(\d+)/i);
+
+                // Detect key mode
+                let keyMode = '7'; // Default
+                const isPMS = file.toLowerCase().endsWith('.pms');
+                const playerMatch = text.match(/#PLAYER\s+(\d+)/i);
+                const player = playerMatch ? parseInt(playerMatch[1]) : 1;
+
+                const has2PChannels = text.match(/#\d{3}2[1-9]:/); // 21-29
+
+                if (isPMS) {
+                    keyMode = '9';
+                } else if (player === 3 || has2PChannels) {
+                    const hasP1_Ext = text.match(/#\d{3}1[89]:/); // P1 6,7
+                    const hasP2_Left = text.match(/#\d{3}2[12]:/); // P2 1,2
+                    const hasP2_Right = text.match(/#\d{3}2[89]:/); // P2 6,7
+
+                    if (hasP1_Ext || (hasP2_Left && hasP2_Right)) {
+                        keyMode = '14';
+                    } else {
+                        keyMode = '10';
+                    }
                 } else {
-                    keyMode = '10';
+                    const has7KSpecific = text.match(/#\d{3}1[89]:/);
+                    keyMode = has7KSpecific ? '7' : '5';
                 }
-            } else {
-                const has7KSpecific = text.match(/#\d{3}1[89]:/);
-                keyMode = has7KSpecific ? '7' : '5';
-            }
-            const cleanStr = (s) => s ? s.replace(/\r/g, '').trim() : 'Unknown';
-
-            // Simple note count estimation for metadata
-            const notesMatch = text.matchAll(/#\d{3}(1|2|5|6)[1-9]:(\w+)/g);
-            let noteCount = 0;
-            for (const nm of notesMatch) {
-                const data = nm[2];
-                for (let i = 0; i < data.length; i += 2) {
-                    if (data[i] !== '0' || data[i + 1] !== '0') noteCount++;
+                const cleanStr = (s) => s ? s.replace(/\r/g, '').trim() : 'Unknown';
+
+                // Simple note count estimation for metadata
+                const notesMatch = text.matchAll(/#\d{3}(1|2|5|6)[1-9]:(\w+)/g);
+                let noteCount = 0;
+                for (const nm of notesMatch) {
+                    const data = nm[2];
+                    for (let i = 0; i < data.length; i += 2) {
+                        if (data[i] !== '0' || data[i + 1] !== '0') noteCount++;
+                    }
                 }
-            }
 
-            songs.push({
-                path: file,
-                rootDir: rootDir,
-                md5,
-                title: titleMatch ? cleanStr(titleMatch[1]) : 'Unknown',
-                artist: artistMatch ? cleanStr(artistMatch[1]) : 'Unknown',
-                difficulty: diffMatch ? parseInt(diffMatch[1]) : inferDifficulty(titleMatch ? titleMatch[1] : '', path.basename(file, path.extname(file))),
-                level: levelMatch ? parseInt(levelMatch[1]) : 0,
-                keyMode: keyMode,
-                noteCount: noteCount
-            });
+                songs.push({
+                    path: file,
+                    rootDir: rootDir,
+                    md5,
+                    title: titleMatch ? cleanStr(titleMatch[1]) : 'Unknown',
+                    artist: artistMatch ? cleanStr(artistMatch[1]) : 'Unknown',
+                    difficulty: diffMatch ? parseInt(diffMatch[1]) : inferDifficulty(titleMatch ? titleMatch[1] : '', path.basename(file, path.extname(file))),
+                    level: levelMatch ? parseInt(levelMatch[1]) : 0,
+                    keyMode: keyMode,
+                    noteCount: noteCount,
+                    encoding
+                });
+            }
         } catch (e) {
             console.error("Error parsing", file, e);
         }
@@ -354,7 +387,7 @@ ipcMain.handle('scan-library', async () => {
     for (const cf of courseFiles) {
         try {
             const content = await fs.readFile(cf);
-            const text = iconv.decode(content, 'Shift_JIS');
+            const { text } = decodeText(content);
             // Simplified XML parsing via regex
             const courseMatches = text.matchAll(/<course>([\s\S]*?)<\/course>/gi);
             for (const cm of courseMatches) {
@@ -389,15 +422,8 @@ ipcMain.handle('import-course', async (event, filePath) => {
     initPaths();
     try {
         const content = await fs.readFile(filePath);
-        // Try Shift_JIS first (common for LR2)
-        let text = iconv.decode(content, 'Shift_JIS');
-        let courseMatches = Array.from(text.matchAll(/<course>([\s\S]*?)<\/course>/gi));
-
-        // If no matches, try UTF-8
-        if (courseMatches.length === 0) {
-            text = iconv.decode(content, 'utf8');
-            courseMatches = Array.from(text.matchAll(/<course>([\s\S]*?)<\/course>/gi));
-        }
+        const { text } = decodeText(content);
+        const courseMatches = Array.from(text.matchAll(/<course>([\s\S]*?)<\/course>/gi));
 
         let imported = [];
         for (const cm of courseMatches) {
@@ -467,8 +493,11 @@ ipcMain.handle('write-user-data', async (event, filename, data) => {
     return true;
 });
 
-// 4. Resolve Path (for finding audio relative to BMS file)
-ipcMain.handle('resolve-path', async (event, bmsPath, audioFilename) => {
+/**
+ * Finds an audio file relative to a BMS file, allowing a different extension or case.
+ * @returns {Promise<string|null>} Absolute path, or null if nothing matches
+ */
+async function resolveAudioFile(bmsPath, audioFilename) {
     if (!audioFilename) return null;
 
     const dir = path.dirname(bmsPath);
@@ -495,11 +524,14 @@ ipcMain.handle('resolve-path', async (event, bmsPath, audioFilename) => {
     }
 
     return null;
-});
+}
 
-// 5. Resolve Image/Video (returns file:// URL)
-// 5. Resolve Image/Video (returns file:// URL)
-ipcMain.handle('resolve-image', async (event, bmsPath, filename, type = 'any') => {
+/**
+ * Finds an image or video relative to a BMS file, matching any known extension of the given type.
+ * @param {string} type - 'image' | 'video' | 'any'
+ * @returns {Promise<string|null>} Absolute path, or null if nothing matches
+ */
+async function resolveImageFile(bmsPath, filename, type = 'any') {
     if (!filename) return null;
 
     const dir = path.dirname(bmsPath);
@@ -553,6 +585,21 @@ ipcMain.handle('resolve-image', async (event, bmsPath, filename, type = 'any') =
         }
     }
 
+    return targetPath;
+}
+
+// 4. Resolve Path (for finding audio relative to BMS file)
+ipcMain.handle('resolve-path', async (event, bmsPath, audioFilename) => {
+    return await resolveAudioFile(bmsPath, audioFilename);
+});
+
+// 5. Resolve Image/Video (returns file:// URL)
+ipcMain.handle('resolve-image', async (event, bmsPath, filename, type = 'any') => {
+    if (!filename) return null;
+
+    const dir = path.dirname(bmsPath);
+    const targetPath = await resolveImageFile(bmsPath, filename, type);
+
     if (targetPath) {
         const fileUrl = url.pathToFileURL(targetPath).href;
         console.log(`[resolve-image] FOUND (${type}): ${targetPath}`);
@@ -630,7 +677,7 @@ ipcMain.handle('rescan-all-folders', async () => {
     let allFiles = [];
     for (const folder of folders) {
         try {
-            const files = await glob.glob('**/*.+(bms|bme|bml|pms)', { cwd: folder, nocase: true, absolute: true });
+            const files = await glob.glob('**/*.+(bms|bme|bml|pms|bmson)', { cwd: folder, nocase: true, absolute: true });
             files.forEach(f => allFiles.push({ file: f, rootDir: folder }));
         } catch (e) {
             console.error("Error scanning folder", folder, e);
@@ -653,61 +700,66 @@ ipcMain.handle('rescan-all-folders', async () => {
         try {
             const content = await fs.readFile(file);
             const md5 = calculateMD5(content);
-            const text = iconv.decode(content, 'Shift_JIS');
-
-            const titleMatch = text.match(/#TITLE\s+(.+)/i);
-            const artistMatch = text.match(/#ARTIST\s+(.+)/i);
-            const diffMatch = text.match(/#DIFFICULTY\s+(\d+)/i);
-            const levelMatch = text.match(/#PLAYLEVEL\s+(\d+)/i);
-
-            // Detect key mode
-            let keyMode = '7'; // Default
-            const isPMS = file.toLowerCase().endsWith('.pms');
-            const playerMatch = text.match(/#PLAYER\s+(\d+)/i);
-            const player = playerMatch ? parseInt(playerMatch[1]) : 1;
-
-            const has2PChannels = text.match(/#\d{3}2[1-9]:/);
-
-            if (isPMS) {
-                keyMode = '9';
-            } else if (player === 3 || has2PChannels) {
-                const hasP1_Ext = text.match(/#\d{3}1[89]:/); // P1 6,7
-                const hasP2_Left = text.match(/#\d{3}2[12]:/); // P2 1,2
-                const hasP2_Right = text.match(/#\d{3}2[89]:/); // P2 6,7
-
-                if (hasP1_Ext || (hasP2_Left && hasP2_Right)) {
-                    keyMode = '14';
+            if (file.toLowerCase().endsWith('.bmson')) {
+                songs.push({ path: file, rootDir: rootDir, md5, encoding: 'utf-8', ...readBmsonMetadata(content.toString('utf8'), file) });
+            } else {
+                const { text, encoding } = decodeText(content);
+
+                const titleMatch = text.match(/#TITLE\s+(.+)/i);
+                const artistMatch = text.match(/#ARTIST\s+(.+)/i);
+                const diffMatch = text.match(/#DIFFICULTY\s+(\d+)/i);
+                const levelMatch = text.match(/#PLAYLEVEL\s+(\d+)/i);
+
+                // Detect key mode
+                let keyMode = '7'; // Default
+                const isPMS = file.toLowerCase().endsWith('.pms');
+                const playerMatch = text.match(/#PLAYER\s+(\d+)/i);
+                const player = playerMatch ? parseInt(playerMatch[1]) : 1;
+
+                const has2PChannels = text.match(/#\d{3}2[1-9]:/);
+
+                if (isPMS) {
+                    keyMode = '9';
+                } else if (player === 3 || has2PChannels) {
+                    const hasP1_Ext = text.match(/#\d{3}1[89]:/); // P1 6,7
+                    const hasP2_Left = text.match(/#\d{3}2[12]:/); // P2 1,2
+                    const hasP2_Right = text.match(/#\d{3}2[89]:/); // P2 6,7
+
+                    if (hasP1_Ext || (hasP2_Left && hasP2_Right)) {
+                        keyMode = '14';
+                    } else {
+                        keyMode = '10';
+                    }
                 } else {
-                    keyMode = '10';
+                    const has7KSpecific = text.match(/#\d{3}1[89]:/);
+                    keyMode = has7KSpecific ? '7' : '5';
                 }
-            } else {
-                const has7KSpecific = text.match(/#\d{3}1[89]:/);
-                keyMode = has7KSpecific ? '7' : '5';
-            }
 
-            const cleanStr = (s) => s ? s.replace(/\r/g, '').trim() : 'Unknown';
+                const cleanStr = (s) => s ? s.replace(/\r/g, '').trim() : 'Unknown';
 
-            // Simple note count estimation for metadata
-            const notesMatch = text.matchAll(/#\d{3}(1|2|5|6)[1-9]:(\w+)/g);
-            let noteCount = 0;
-            for (const nm of notesMatch) {
-                const data = nm[2];
-                for (let i = 0; i < data.length; i += 2) {
-                    if (data[i] !== '0' || data[i + 1] !== '0') noteCount++;
+                // Simple note count estimation for metadata
+                const notesMatch = text.matchAll(/#\d{3}(1|2|5|6)[1-9]:(\w+)/g);
+                let noteCount = 0;
+                for (const nm of notesMatch) {
+                    const data = nm[2];
+                    for (let i = 0; i < data.length; i += 2) {
+                        if (data[i] !== '0' || data[i + 1] !== '0') noteCount++;
+                    }
                 }
-            }
 
-            songs.push({
-                path: file,
-                rootDir: rootDir,
-                md5,
-                title: titleMatch ? cleanStr(titleMatch[1]) : 'Unknown',
-                artist: artistMatch ? cleanStr(artistMatch[1]) : 'Unknown',
-                difficulty: diffMatch ? parseInt(diffMatch[1]) : inferDifficulty(titleMatch ? titleMatch[1] : '', path.basename(file, path.extname(file))),
-                level: levelMatch ? parseInt(levelMatch[1]) : 0,
-                keyMode: keyMode,
-                noteCount: noteCount
-            });
+                songs.push({
+                    path: file,
+                    rootDir: rootDir,
+                    md5,
+                    title: titleMatch ? cleanStr(titleMatch[1]) : 'Unknown',
+                    artist: artistMatch ? cleanStr(artistMatch[1]) : 'Unknown',
+                    difficulty: diffMatch ? parseInt(diffMatch[1]) : inferDifficulty(titleMatch ? titleMatch[1] : '', path.basename(file, path.extname(file))),
+                    level: levelMatch ? parseInt(levelMatch[1]) : 0,
+                    keyMode: keyMode,
+                    noteCount: noteCount,
+                    encoding
+                });
+            }
         } catch (e) {
             console.error("Error parsing", file, e);
         }
@@ -738,7 +790,7 @@ ipcMain.handle('rescan-all-folders', async () => {
         for (const cf of courseFiles) {
             try {
                 const content = await fs.readFile(cf);
-                const text = iconv.decode(content, 'Shift_JIS');
+                const { text } = decodeText(content);
                 const courseMatches = text.matchAll(/<course>([\s\S]*?)<\/course>/gi);
                 for (const cm of courseMatches) {
                     const cText = cm[1];
@@ -768,6 +820,29 @@ ipcMain.handle('open-course-dialog', async () => {
     return result.filePaths;
 });
 
+// 11. Save Replay Dialog (export)
+ipcMain.handle('save-replay-dialog', async (event, defaultName) => {
+    const result = await dialog.showSaveDialog(mainWindow || null, {
+        defaultPath: defaultName,
+        filters: [{ name: 'Lyruanna Replay', extensions: ['rep'] }]
+    });
+    if (result.canceled) return null;
+    return result.filePath;
+});
+
+// 12. Check Chart Files (lint) - reports referenced files that resolve-path/resolve-image would not find
+ipcMain.handle('check-chart-files', async (event, bmsPath, audioFiles = [], imageFiles = []) => {
+    const missingAudio = [];
+    const missingImages = [];
+    for (const f of audioFiles) {
+        if (!(await resolveAudioFile(bmsPath, f))) missingAudio.push(f);
+    }
+    for (const f of imageFiles) {
+        if (!(await resolveImageFile(bmsPath, f, 'any'))) missingImages.push(f);
+    }
+    return { missingAudio, missingImages };
+});
+
 // ============================================================================
 // TACHI IR INTEGRATION
 // ============================================================================
@@ -14,6 +14,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onScanProgress: (callback) => ipcRenderer.on('scan-progress', (event, data) => callback(data)),
     importCourse: (path) => ipcRenderer.invoke('import-course', path),
     openCourseDialog: () => ipcRenderer.invoke('open-course-dialog'),
+    saveReplayDialog: (defaultName) => ipcRenderer.invoke('save-replay-dialog', defaultName),
+    checkChartFiles: (bmsPath, audioFiles, imageFiles) => ipcRenderer.invoke('check-chart-files', bmsPath, audioFiles, imageFiles),
     getPathForFile: (file) => webUtils.getPathForFile(file),
     // Window controls
     closeWindow: () => ipcRenderer.send('window-close'),
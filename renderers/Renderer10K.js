@@ -145,23 +145,32 @@ class Renderer10K {
         ctx.restore();
 
         // Note Rendering
-        const maxTimeOffset = (canvas.height + 100) / baseSpeed;
+        // Placement follows the chart's scroll timeline (BPM, STOP, SCROLL, SPEED)
+        const scroll = window.getScrollView(time, baseSpeed, canvas.height + 100);
         const minTime = time - 200;
-        const maxTime = time + maxTimeOffset;
+        const maxTime = scroll.maxTime;
+        // Long notes can start well before minTime and still be on screen
+        const scanMinTime = minTime - (state.loadedSong.maxLnDuration || 0);
 
         let startIdx = state.logicCursor || 0;
         if (startIdx >= state.loadedSong.notes.length) startIdx = state.loadedSong.notes.length - 1;
 
-        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > minTime) startIdx--;
-        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < minTime) startIdx++;
+        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > scanMinTime) startIdx--;
+        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < scanMinTime) startIdx++;
 
         let endIdx = startIdx;
         while (endIdx < state.loadedSong.notes.length && state.loadedSong.notes[endIdx].time < maxTime) endIdx++;
 
-        const drawNote = (x, y, w, isSc, isBlue) => {
+        const drawNote = (x, y, w, isSc, isBlue, h = 0) => {
             if (isSc) ctx.fillStyle = '#f00';
             else if (isBlue) ctx.fillStyle = '#0cf';
             else ctx.fillStyle = '#fff';
+            if (h > 0) {
+                ctx.globalAlpha = 0.5;
+                ctx.fillRect(x + 4, y - h, w - 8, h);
+                ctx.globalAlpha = 1.0;
+                ctx.fillRect(x, y - h, w, 6); // Tail
+            }
             ctx.fillRect(x, y, w, 15);
 
             // [ASSIST] Legacy Note
@@ -175,10 +184,14 @@ class Renderer10K {
         ctx.save();
         ctx.translate(startX, 0);
 
+        // Bar lines under the notes, one set per side
+        if (window.drawBarLines) window.drawBarLines(ctx, scroll, time, hitY, [[0, sideW], [sideW + gap, sideW]]);
+
         for (let i = startIdx; i < endIdx; i++) {
             const n = state.loadedSong.notes[i];
-            if (n.hit && !n.isMissed) continue;
+            if (n.hit && !n.isMissed && !n.lnActive) continue; // Held long notes stay visible
             if (n.isMissed && (time - n.missTime > 1000)) continue;
+            if ((n.endTime !== undefined ? n.endTime : n.time) < minTime) continue;
 
             const ch = n.ch;
             let p1 = true;
@@ -208,12 +221,19 @@ class Renderer10K {
 
             if (lane === -1) continue;
 
-            const dist = (n.time - time) * baseSpeed;
+            const dist = scroll.dist(n.time);
             let y = hitY - dist;
             if (y > hitY && !n.isMissed) y = hitY;
             if (n.isMissed) y = hitY;
             if (y < -50 || y > canvas.height + 50) continue;
 
+            // Long note body runs from the head up to the tail
+            let h = 0;
+            if (n.endTime !== undefined) {
+                const tailY = Math.max(-50, hitY - scroll.dist(n.endTime));
+                h = Math.max(0, y - tailY);
+            }
+
             let x = 0;
             let w = wKey;
 
@@ -229,7 +249,39 @@ class Renderer10K {
                 else { x = offset + (lane - 1) * wKey; }
             }
 
-            drawNote(x + 1, y, w - 2, lane === 0, (lane === 2 || lane === 4 || lane === 6));
+            drawNote(x + 1, y, w - 2, lane === 0, (lane === 2 || lane === 4 || lane === 6), h);
+        }
+
+        // Landmines (gone once they pass the judge line)
+        const mines = state.loadedSong.mines;
+        if (mines && mines.length > 0) {
+            const laneKeys = ['SCRATCH', 'KEY1', 'KEY2', 'KEY3', 'KEY4', 'KEY5', 'KEY6', 'KEY7'];
+            // Start from the logic cursor (next mine to reach the line) and adjust, like the note scan
+            let mineIdx = Math.min(state.mineCursor || 0, mines.length - 1);
+            while (mineIdx > 0 && mines[mineIdx - 1].time >= time) mineIdx--;
+            while (mineIdx < mines.length && mines[mineIdx].time < time) mineIdx++;
+            for (; mineIdx < mines.length; mineIdx++) {
+                const m = mines[mineIdx];
+                if (m.time > maxTime) break;
+                let p1 = true;
+                let lane = laneKeys.findIndex(k => channels.P1[k].includes(m.lane));
+                if (lane === -1) {
+                    p1 = false;
+                    lane = laneKeys.findIndex(k => channels.P2[k].includes(m.lane));
+                }
+                if (lane === -1) continue;
+                // Same layout as notes: P2 has its scratch on the right
+                const offset = p1 ? 0 : sideW + gap;
+                let x = p1 ? wScratch + (lane - 1) * wKey : offset + (lane - 1) * wKey;
+                if (lane === 0) x = p1 ? 0 : offset + 7 * wKey;
+                const w = lane === 0 ? wScratch : wKey;
+                const y = hitY - scroll.dist(m.time);
+                ctx.fillStyle = '#800';
+                ctx.fillRect(x + 3, y + 4, w - 6, 7);
+                ctx.strokeStyle = '#f33';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 3, y + 4, w - 6, 7);
+            }
         }
 
         // [ASSIST] BPM Guide: Draw horizontal lines at BPM changes
@@ -239,7 +291,7 @@ class Renderer10K {
             ctx.lineWidth = 1;
             ctx.setLineDash([5, 5]);
             state.loadedSong.bpmEvents.forEach(evt => {
-                const dist = (evt.time - time) * baseSpeed;
+                const dist = scroll.dist(evt.time);
                 const y = hitY - dist;
                 if (y > 0 && y < hitY) {
                     ctx.beginPath();
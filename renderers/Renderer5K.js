@@ -119,20 +119,26 @@ class Renderer5K {
         // --- Note Rendering ---
 
         // Calculate visible range
-        const maxTimeOffset = (canvas.height + 100) / baseSpeed;
+        // Placement follows the chart's scroll timeline (BPM, STOP, SCROLL, SPEED)
+        const scroll = window.getScrollView(time, baseSpeed, canvas.height + 100);
         const minTime = time - 200; // Just past hit line
-        const maxTime = time + maxTimeOffset;
+        const maxTime = scroll.maxTime;
+        // Long notes can start well before minTime and still be on screen
+        const scanMinTime = minTime - (state.loadedSong.maxLnDuration || 0);
+
+        // Bar lines under the notes
+        if (window.drawBarLines) window.drawBarLines(ctx, scroll, time, hitY, [[0, p1Total]]);
 
         // Find visible notes
         let startIdx = state.logicCursor || 0;
         if (startIdx >= state.loadedSong.notes.length) startIdx = state.loadedSong.notes.length - 1;
 
         // Backtrack
-        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > minTime) {
+        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > scanMinTime) {
             startIdx--;
         }
         // Forward track
-        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < minTime) {
+        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < scanMinTime) {
             startIdx++;
         }
 
@@ -149,8 +155,9 @@ class Renderer5K {
 
         for (let i = startIdx; i < endIdx; i++) {
             const n = state.loadedSong.notes[i];
-            if (n.hit && !n.isMissed) continue;
+            if (n.hit && !n.isMissed && !n.lnActive) continue; // Held long notes stay visible
             if (n.isMissed && (time - n.missTime > 1000)) continue;
+            if ((n.endTime !== undefined ? n.endTime : n.time) < minTime) continue;
 
             let x = -1, w = wKey, isSc = false, isBlue = false;
             const ch = n.ch;
@@ -170,7 +177,7 @@ class Renderer5K {
 
             if (x === -1) continue;
 
-            const dist = (n.time - time) * baseSpeed;
+            const dist = scroll.dist(n.time);
             let y = hitY - dist;
 
             // Stop at receptor if falling past
@@ -184,15 +191,28 @@ class Renderer5K {
 
             if (y < -50 || y > canvas.height + 50) continue;
 
-            if (isSc) noteBatches.scratch.push({ x: x + 1, y, w: w - 2 });
-            else if (isBlue) noteBatches.blue.push({ x: x + 1, y, w: w - 2 });
-            else noteBatches.white.push({ x: x + 1, y, w: w - 2 });
+            // Long note body runs from the head up to the tail
+            let h = 0;
+            if (n.endTime !== undefined) {
+                const tailY = Math.max(-50, hitY - scroll.dist(n.endTime));
+                h = Math.max(0, y - tailY);
+            }
+
+            if (isSc) noteBatches.scratch.push({ x: x + 1, y, w: w - 2, h });
+            else if (isBlue) noteBatches.blue.push({ x: x + 1, y, w: w - 2, h });
+            else noteBatches.white.push({ x: x + 1, y, w: w - 2, h });
         }
 
         // Draw Batches
         const drawNoteBatch = (batch, color) => {
             ctx.fillStyle = color;
             batch.forEach(n => {
+                if (n.h > 0) {
+                    ctx.globalAlpha = 0.5;
+                    ctx.fillRect(n.x + 4, n.y - n.h, n.w - 8, n.h);
+                    ctx.globalAlpha = 1.0;
+                    ctx.fillRect(n.x, n.y - n.h, n.w, 6); // Tail
+                }
                 ctx.fillRect(n.x, n.y, n.w, 15);
                 if (state.assistLegacyNote) {
                     ctx.strokeStyle = '#000';
@@ -206,6 +226,30 @@ class Renderer5K {
         drawNoteBatch(noteBatches.blue, '#0cf');
         drawNoteBatch(noteBatches.scratch, '#f00');
 
+        // Landmines (gone once they pass the judge line)
+        const mines = state.loadedSong.mines;
+        if (mines && mines.length > 0) {
+            const laneKeys = ['SCRATCH', 'KEY1', 'KEY2', 'KEY3', 'KEY4', 'KEY5', 'KEY6', 'KEY7'];
+            // Start from the logic cursor (next mine to reach the line) and adjust, like the note scan
+            let mineIdx = Math.min(state.mineCursor || 0, mines.length - 1);
+            while (mineIdx > 0 && mines[mineIdx - 1].time >= time) mineIdx--;
+            while (mineIdx < mines.length && mines[mineIdx].time < time) mineIdx++;
+            for (; mineIdx < mines.length; mineIdx++) {
+                const m = mines[mineIdx];
+                if (m.time > maxTime) break;
+                const lane = laneKeys.findIndex(k => channels.P1[k].includes(m.lane));
+                if (lane === -1) continue;
+                const x = lane === 0 ? 0 : wScratch + (lane - 1) * wKey;
+                const w = lane === 0 ? wScratch : wKey;
+                const y = hitY - scroll.dist(m.time);
+                ctx.fillStyle = '#800';
+                ctx.fillRect(x + 3, y + 4, w - 6, 7);
+                ctx.strokeStyle = '#f33';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 3, y + 4, w - 6, 7);
+            }
+        }
+
         // [ASSIST] BPM Guide: Draw horizontal lines at BPM changes
         if (state.assistBPMGuide && state.loadedSong.bpmEvents) {
             ctx.save();
@@ -213,7 +257,7 @@ class Renderer5K {
             ctx.lineWidth = 1;
             ctx.setLineDash([5, 5]);
             state.loadedSong.bpmEvents.forEach(evt => {
-                const dist = (evt.time - time) * baseSpeed;
+                const dist = scroll.dist(evt.time);
                 const y = hitY - dist;
                 if (y > 0 && y < hitY) {
                     ctx.beginPath();
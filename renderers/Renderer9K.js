@@ -116,15 +116,21 @@ class Renderer9K {
         }
 
         // Notes
-        const maxTimeOffset = (canvas.height + 100) / baseSpeed;
+        // Placement follows the chart's scroll timeline (BPM, STOP, SCROLL, SPEED)
+        const scroll = window.getScrollView(time, baseSpeed, canvas.height + 100);
         const minTime = time - 200;
-        const maxTime = time + maxTimeOffset;
+        const maxTime = scroll.maxTime;
+        // Long notes can start well before minTime and still be on screen
+        const scanMinTime = minTime - (state.loadedSong.maxLnDuration || 0);
+
+        // Bar lines under the notes
+        if (window.drawBarLines) window.drawBarLines(ctx, scroll, time, hitY, [[0, totalW]]);
 
         let startIdx = state.logicCursor || 0;
         if (startIdx >= state.loadedSong.notes.length) startIdx = state.loadedSong.notes.length - 1;
 
-        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > minTime) startIdx--;
-        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < minTime) startIdx++;
+        while (startIdx > 0 && state.loadedSong.notes[startIdx] && state.loadedSong.notes[startIdx].time > scanMinTime) startIdx--;
+        while (startIdx < state.loadedSong.notes.length && state.loadedSong.notes[startIdx].time < scanMinTime) startIdx++;
 
         let endIdx = startIdx;
         while (endIdx < state.loadedSong.notes.length && state.loadedSong.notes[endIdx].time < maxTime) endIdx++;
@@ -133,15 +139,18 @@ class Renderer9K {
 
         for (let i = startIdx; i < endIdx; i++) {
             const n = state.loadedSong.notes[i];
-            if (n.hit && !n.isMissed) continue;
+            if (n.hit && !n.isMissed && !n.lnActive) continue; // Held long notes stay visible
             if (n.isMissed && (time - n.missTime > 1000)) continue;
+            if ((n.endTime !== undefined ? n.endTime : n.time) < minTime) continue;
 
             const ch = n.ch;
             let laneIndex = -1;
 
-            // Map 11-19 to 1-9
+            // Map 11-19 (and LN 51-59) to 1-9
             if (ch >= 0x11 && ch <= 0x19) {
                 laneIndex = ch - 0x11 + 1;
+            } else if (ch >= 0x51 && ch <= 0x59) {
+                laneIndex = ch - 0x51 + 1;
             } else if (ch >= 0x22 && ch <= 0x25) {
                 // Extended channels sometimes used
                 // 22->6, 23->7, 24->8, 25->9 ??
@@ -151,18 +160,31 @@ class Renderer9K {
             if (laneIndex === -1) continue;
 
             const x = (laneIndex - 1) * wKey;
-            const dist = (n.time - time) * baseSpeed;
+            const dist = scroll.dist(n.time);
             let y = hitY - dist;
 
             if (y > hitY && !n.isMissed) y = hitY;
             if (n.isMissed) y = hitY;
             if (y < -50 || y > canvas.height + 50) continue;
 
-            notesToDraw.push({ x: x + 1, y, w: wKey - 2, color: getKeyColor(laneIndex) });
+            // Long note body runs from the head up to the tail
+            let h = 0;
+            if (n.endTime !== undefined) {
+                const tailY = Math.max(-50, hitY - scroll.dist(n.endTime));
+                h = Math.max(0, y - tailY);
+            }
+
+            notesToDraw.push({ x: x + 1, y, w: wKey - 2, h, color: getKeyColor(laneIndex) });
         }
 
         notesToDraw.forEach(n => {
             ctx.fillStyle = n.color;
+            if (n.h > 0) {
+                ctx.globalAlpha = 0.5;
+                ctx.fillRect(n.x + 4, n.y - n.h, n.w - 8, n.h);
+                ctx.globalAlpha = 1.0;
+                ctx.fillRect(n.x, n.y - n.h, n.w, 6); // Tail
+            }
             ctx.fillRect(n.x, n.y, n.w, 15);
             // Border for visibility (or Legacy Note)
             if (state.assistLegacyNote) {
@@ -176,6 +198,28 @@ class Renderer9K {
             }
         });
 
+        // Landmines (gone once they pass the judge line)
+        const mines = state.loadedSong.mines;
+        if (mines && mines.length > 0) {
+            // Start from the logic cursor (next mine to reach the line) and adjust, like the note scan
+            let mineIdx = Math.min(state.mineCursor || 0, mines.length - 1);
+            while (mineIdx > 0 && mines[mineIdx - 1].time >= time) mineIdx--;
+            while (mineIdx < mines.length && mines[mineIdx].time < time) mineIdx++;
+            for (; mineIdx < mines.length; mineIdx++) {
+                const m = mines[mineIdx];
+                if (m.time > maxTime) break;
+                if (m.lane < 0x11 || m.lane > 0x19) continue;
+                const x = (m.lane - 0x11) * wKey;
+                const w = wKey;
+                const y = hitY - scroll.dist(m.time);
+                ctx.fillStyle = '#800';
+                ctx.fillRect(x + 3, y + 4, w - 6, 7);
+                ctx.strokeStyle = '#f33';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 3, y + 4, w - 6, 7);
+            }
+        }
+
         // [ASSIST] BPM Guide: Draw horizontal lines at BPM changes
         if (state.assistBPMGuide && state.loadedSong.bpmEvents) {
             ctx.save();
@@ -183,7 +227,7 @@ class Renderer9K {
             ctx.lineWidth = 1;
             ctx.setLineDash([5, 5]);
             state.loadedSong.bpmEvents.forEach(evt => {
-                const dist = (evt.time - time) * baseSpeed;
+                const dist = scroll.dist(evt.time);
                 const y = hitY - dist;
                 if (y > 0 && y < hitY) {
                     ctx.beginPath();
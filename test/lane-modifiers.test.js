@@ -0,0 +1,31 @@
+/**
+ * Lane modifier checks: parses a fixture chart with the real parser worker and applies
+ * the same lane permutation enterGame uses. Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { applyLanePermutation } = require('../RandomUtils');
+const { loadParser } = require('./load-parser');
+
+const P1_KEYS = [0x11, 0x12, 0x13, 0x14, 0x15, 0x18, 0x19];
+
+test('MIRROR moves #LNTYPE 1 long notes with their lane', () => {
+    const BMSParser = loadParser();
+    const song = BMSParser.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'lntype1.bms'), 'utf8'), { seed: 1 });
+    const before = song.notes.map(n => ({ ch: n.ch, time: n.time, ln: n.endTime !== undefined }));
+    assert.ok(before.some(n => n.ln), 'fixture should contain long notes');
+
+    const mirrored = [...P1_KEYS].reverse();
+    applyLanePermutation(song, P1_KEYS, mirrored);
+
+    song.notes.forEach((n, i) => {
+        const lnOffset = before[i].ln ? 0x40 : 0;
+        const lane = P1_KEYS.indexOf(before[i].ch - lnOffset);
+        assert.strictEqual(n.ch, mirrored[lane] + lnOffset);
+    });
+    // Lane 1's tap and lane 7's hold start together, so a hold left behind would land on the tap
+    const starts = song.notes.map(n => `${n.ch >= 0x51 ? n.ch - 0x40 : n.ch}@${n.time}`);
+    assert.strictEqual(new Set(starts).size, starts.length);
+});
@@ -0,0 +1,19 @@
+/**
+ * Loads the parser worker into a sandbox with just enough of the worker globals to run.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadParser() {
+    const sandbox = {};
+    sandbox.self = sandbox;
+    sandbox.importScripts = (...files) => files.forEach(f => vm.runInContext(fs.readFileSync(path.join(ROOT, f), 'utf8'), sandbox));
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'bms-parser.worker.js'), 'utf8'), sandbox);
+    return vm.runInContext('BMSParser', sandbox);
+}
+
+module.exports = { loadParser };
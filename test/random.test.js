@@ -0,0 +1,16 @@
+/**
+ * #RANDOM / #SWITCH preprocessing checks. Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadParser } = require('./load-parser');
+
+const BMSParser = loadParser();
+
+test('#RANDOM without a range rolls 1 and warns', () => {
+    const chart = ['#BPM 120', '#RANDOM', '#IF 1', '#00111:01', '#ENDIF', '#ENDRANDOM'].join('\n');
+    const song = BMSParser.parse(chart, { seed: 1 });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(song.randomBranches)), [{ type: 'RANDOM', max: 1, value: 1 }]);
+    assert.strictEqual(song.notes.length, 1);
+    assert.ok(song.warnings.some(w => w.message.startsWith('#RANDOM without a valid range')));
+});